@@ -1,26 +1,57 @@
 const applyToInstanceHelper = require("./helpers/applyToInstanceHelper");
 const scriptHelper = require("./helpers/scriptHelper");
+const updateScriptHelper = require("./helpers/updateScriptHelper");
+const armTemplateHelper = require("./helpers/armTemplateHelper");
+const terraformHelper = require("./helpers/terraformHelper");
+const provisioningScriptHelper = require("./helpers/provisioningScriptHelper");
+const shellDialectHelper = require("./helpers/shellDialectHelper");
+const connectionHelper = require("../reverse_engineering/helpers/connectionHelper");
+
+const INFRASTRUCTURE_SCRIPTS = {
+	arm: armTemplateHelper.getArmTemplate,
+	bicep: armTemplateHelper.getBicepTemplate,
+	terraform: terraformHelper.getTerraformConfiguration,
+	azureCli: provisioningScriptHelper.getAzureCliScript,
+	powershell: provisioningScriptHelper.getPowerShellScript,
+};
+
+const getInfrastructureScript = (data) => {
+	const generateScript = INFRASTRUCTURE_SCRIPTS[data.targetScriptOptions?.keyword];
+
+	return generateScript ? generateScript(data) : undefined;
+};
 
 module.exports = {
 	generateContainerScript(data, logger, callback, app) {
+		if (data.isUpdateScript) {
+			return this.generateUpdateScript(data, logger, callback, app);
+		}
+
 		try {
+			const infrastructureScript = getInfrastructureScript(data);
+
+			if (infrastructureScript) {
+				return callback(null, infrastructureScript);
+			}
+
 			const _ = app.require('lodash');
 			const insertSamplesOption = _.get(data, 'options.additionalOptions', []).find(option => option.id === 'INCLUDE_SAMPLES') || {};
 			const withSamples = data.options.origin !== 'ui';
-			let script = scriptHelper.getScript(data);
+			const dialect = shellDialectHelper.getDialect(data);
+			let script = scriptHelper.getScript(data, dialect);
 			const samples = scriptHelper.insertSamples(data);
 			script += withSamples ? '\n' + samples : '';
 
 			if (withSamples || !insertSamplesOption.value) {
-				return callback(null, script);
+				return callback(null, dialect.wrapScript(script));
 			}
 
 
 			return callback(null, [
-				{ title: 'MongoDB script', script },
+				{ title: 'MongoDB script', script: dialect.wrapScript(script) },
 				{
 					title: 'Sample data',
-					script: samples,
+					script: dialect.wrapScript(samples),
 				},
 			]);
 		} catch (e) {
@@ -31,20 +62,52 @@ module.exports = {
 	},
 	generateScript(data, logger, callback, app) {
 		try {
-			const script = scriptHelper.getScript(data);
+			const infrastructureScript = getInfrastructureScript(data);
+
+			if (infrastructureScript) {
+				return callback(null, infrastructureScript);
+			}
+
+			const dialect = shellDialectHelper.getDialect(data);
+			const script = scriptHelper.getScript(data, dialect);
 			const samples = scriptHelper.insertSample({
 				containerData: data.containerData,
 				entityData: data.entityData,
 				sample: data.jsonData,
+				dialect,
 			});
 
-			return callback(null, [script, samples].join('\n\n'));
+			return callback(null, dialect.wrapScript([script, samples].join('\n\n')));
 		} catch (e) {
 			const error = { message: e.message, stack: e.stack };
 			logger.log('error', error, 'CosmosDB w\\ Mongo API forward engineering error');
 			callback(error);
 		}
 	},
+	async generateUpdateScript(data, logger, callback, app) {
+		let connection;
+
+		try {
+			if (!data.containerData?.[0]?.dbId) {
+				throw new Error('Database Id is required. Please, set it on the collection properties pane.');
+			}
+
+			connection = await connectionHelper.connect(data);
+			const instanceState = await updateScriptHelper.getInstanceState(connection, data.containerData, {
+				isVCore: connectionHelper.isVCoreConnection(data),
+			});
+
+			callback(null, updateScriptHelper.getUpdateScript(data, instanceState));
+		} catch (e) {
+			const error = { message: e.message, stack: e.stack };
+			logger.log('error', error, 'CosmosDB w\\ Mongo API update script error');
+			callback(error);
+		} finally {
+			if (connection) {
+				connection.close();
+			}
+		}
+	},
 	applyToInstance: applyToInstanceHelper.applyToInstance,
 
 	testConnection: applyToInstanceHelper.testConnection,
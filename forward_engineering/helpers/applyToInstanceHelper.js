@@ -1,27 +1,73 @@
 const vm = require('vm');
 const bson = require('../../reverse_engineering/node_modules/bson');
 const connectionHelper = require('../../reverse_engineering/helpers/connectionHelper');
-const readNdJsonByLine = require("./ndJsonHelper");
+const readNdJsonByChunks = require("./ndJsonHelper");
+const dryRunHelper = require('./dryRunHelper');
+const scriptHelper = require('./scriptHelper');
+const { createBulkInserter } = require('./bulkInsertHelper');
+
+const DRY_RUN_OPTION = 'DRY_RUN';
+
+const NOT_APPLICABLE_SCRIPTS = {
+	arm: 'ARM templates',
+	bicep: 'Bicep templates',
+	terraform: 'Terraform configurations',
+	azureCli: 'Azure CLI scripts',
+	powershell: 'PowerShell scripts',
+	nodejs: 'Node.js driver scripts',
+};
+
+const assertApplicableScript = (data) => {
+	const scriptName = NOT_APPLICABLE_SCRIPTS[data.targetScriptOptions?.keyword];
+
+	if (scriptName) {
+		throw new Error(`${scriptName} cannot be applied to the instance. Please, select the MongoDB script.`);
+	}
+};
 
 const applyToInstanceHelper = {
 	async applyToInstance(data, logger, cb) {
 		let connection;
 		
 		try {
+			assertApplicableScript(data);
+
 			if (!data.containerData?.[0]?.dbId) {
 				throw new Error('Database Id is required. Please, set it on the collection properties pane.');
 			}
 
+			const dryRun = scriptHelper.isOptionEnabled(data, DRY_RUN_OPTION);
+
+			if (connectionHelper.isReadOnlyConnection(data) && !dryRun) {
+				throw new Error('The script cannot be applied with a read-only key. Please, use a read-write key or select the dry run option.');
+			}
+
 			connection = await connect(data, logger);
 
 			const collectionName = data.containerData?.[0]?.code || data.containerData?.[0]?.name;
-			const {scriptWithSamples, numberOfSamples} = await generateScriptForInsertingDataInBulk(data.script, collectionName, data.entitiesData, logger);
-			const mongodbScript = replaceUseCommand(convertBson(scriptWithSamples));
+			const entitiesData = data.entitiesData || {};
+			const insertSettings = {
+				batchSize: data.insertBatchSize,
+				concurrency: data.insertConcurrency,
+			};
+			const mongodbScript = replaceUseCommand(convertBson(data.script));
 			await runMongoDbScript({
 				mongodbScript,
 				logger,
 				connection,
-				numberOfSamples,
+				numberOfSamples: Object.keys(entitiesData).length,
+				dryRun,
+				modelData: data.modelData,
+				insertSettings,
+			});
+			await insertNdJsonSamples({
+				connection,
+				dbName: data.containerData[0].dbId,
+				collectionName,
+				entitiesData,
+				logger,
+				dryRun,
+				insertSettings,
 			});
 
 			connection.close();
@@ -83,22 +129,15 @@ const replaceUseCommand = (script) => {
 	}).join('\n');
 };
 
-const runMongoDbScript = ({ mongodbScript, logger: loggerInstance, connection, numberOfSamples }) => {
+const runMongoDbScript = ({ mongodbScript, logger: loggerInstance, connection, numberOfSamples, dryRun, modelData, insertSettings }) => {
 	let currentDb;
 	let commands = [];
-	let insertedSamples = 0;
-	let prevInsertingProgress = 0;
 	const logger = createLogger(loggerInstance);
 
-	logger.info('Start applying instance ...');
+	logger.info(dryRun ? 'Start planning changes (dry run) ...' : 'Start applying instance ...');
 
 	const context = {
-		ISODate: (d) => new Date(d),
-		ObjectId: bson.ObjectId,
-		Binary: bson.Binary,
-		MinKey: bson.MinKey,
-		MaxKey: bson.MaxKey,
-		Code: bson.Code,
+		...getExtendedTypes(),
 
 		useDb(dbName) {
 			currentDb = dbName;
@@ -106,7 +145,8 @@ const runMongoDbScript = ({ mongodbScript, logger: loggerInstance, connection, n
 
 		db: {
 			getCollection(collectionName) {
-				const db = connection.db(currentDb);
+				const dbName = currentDb;
+				const db = connection.db(dbName);
 				const collection = db.collection(collectionName);
 
 				return {
@@ -122,83 +162,393 @@ const runMongoDbScript = ({ mongodbScript, logger: loggerInstance, connection, n
 							return Promise.reject(error);
 						});
 
-						commands.push(command);
+						commands.push({ type: 'createIndex', dbName, collectionName, key: fields, options: params, execute: command });
 					},
-					insert(data) {
-						const command = () => collection.insertOne(data).then(() => {
-							insertedSamples++;
-							const insertingProgress = Math.round((insertedSamples / numberOfSamples) * 100);
-							if (insertingProgress - prevInsertingProgress < 5) {
-								return;
-							}
-							prevInsertingProgress = insertingProgress;
-
-							logger.info(`Inserting Samples: ${insertingProgress}%`);
-						}).catch(error => {
-							const errMessage = `sample is not inserted ${insertedSamples} / ${numberOfSamples} Reason: ${error.message}`;
+					dropIndex(indexName) {
+						const command = () => collection.dropIndex(indexName).then(() => {
+							logger.info(`index ${indexName} dropped`);
+						}, (error) => {
+							const errMessage = `index ${indexName} not dropped`;
 							logger.error(error, errMessage);
 							error.message = errMessage;
 
 							return Promise.reject(error);
 						});
 
-						commands.push(command);
-					}
+						commands.push({ type: 'dropIndex', dbName, collectionName, indexName, execute: command });
+					},
+					insert(data) {
+						commands.push({ type: 'insert', dbName, collectionName, collection, document: data });
+					},
+					insertOne(data) {
+						this.insert(data);
+					},
+					insertMany(documents) {
+						documents.forEach(document => this.insert(document));
+					},
 				};
 			},
 			runCommand(commandData) {
-				const db = connection.db(currentDb);
-
-				const command = () => db.command(commandData).then(() => {
-					logger.info('Create sharding');
-				}).catch(error => {
-					const doesShardingExist = error.codeName === 'NamespaceExists' || error.code === 9;
-					if (doesShardingExist) {
-						logger.warning('shard key is not created:  ' + error.message, error);
-					} else {
-						const errMessage = 'error of creation sharding';
-						logger.error(error, errMessage);
-						error.message = errMessage + ': ' + error.message;
-
-						return Promise.reject(error);
-					}
-				});
+				const dbName = currentDb;
+				const db = connection.db(dbName);
+				const descriptor = { type: 'runCommand', dbName, command: commandData };
+
+				if (UPDATE_ACTIONS[commandData.customAction]) {
+					commands.push({ ...descriptor, execute: () => runCreateCommand(db, commandData, logger) });
+
+					return;
+				}
+
+				if (commandData.customAction) {
+					commands.push({ ...descriptor, execute: () => runCustomAction(db, commandData, logger) });
+
+					return;
+				}
+
+				if (commandData.createIndexes) {
+					(commandData.indexes || []).forEach(({ key, ...options }) => {
+						commands.push({
+							type: 'createIndex',
+							dbName,
+							collectionName: commandData.createIndexes,
+							key,
+							options,
+							execute: () => runCreateIndexesCommand(db, { createIndexes: commandData.createIndexes, indexes: [{ key, ...options }] }, logger),
+						});
+					});
+
+					return;
+				}
+
+				if (commandData.create || commandData.collMod) {
+					commands.push({ ...descriptor, execute: () => runValidatorCommand(db, commandData, logger) });
+
+					return;
+				}
 
-				commands.push(command);
+				commands.push({ ...descriptor, execute: () => runShardCollectionCommand(db, commandData, logger) });
 			}
-		}
+		},
+
+		sh: {
+			shardCollection(namespace, key) {
+				const db = connection.db('admin');
+				const commandData = { shardCollection: namespace, key };
+
+				commands.push({
+					type: 'runCommand',
+					dbName: 'admin',
+					command: commandData,
+					execute: () => runShardCollectionCommand(db, commandData, logger),
+				});
+			},
+		},
 	};
 
 	vm.createContext(context);
 	vm.runInContext(mongodbScript, context);
 
-	return commands.reduce((prev, next) => {
-		return prev.then(() => next());
+	if (dryRun) {
+		return dryRunHelper.planCommands({ connection, commands, logger, modelData });
+	}
+
+	return groupInserts(commands, { ...insertSettings, numberOfSamples, logger }).reduce((prev, next) => {
+		return prev.then(() => next.execute());
 	}, Promise.resolve());
 };
 
-const generateScriptForInsertingDataInBulk = async (script, collectionName, entitiesData, logger) => {
-	let numberOfSamples = Object.keys(entitiesData).length;
-	const scriptWithSamples = await Object.values(entitiesData).reduce(async (resultScript, entityData) => {
-		resultScript = await resultScript;
+const groupInserts = (commands, insertSettings) => {
+	const insertsSummary = { inserted: 0, failed: 0 };
+	const groupedCommands = commands.reduce((result, command) => {
+		const lastCommand = result[result.length - 1];
+
+		if (command.type !== 'insert') {
+			return [...result, command];
+		}
+
+		const isSameCollection = lastCommand?.dbName === command.dbName && lastCommand?.collectionName === command.collectionName;
 
-		if (!entityData.filePath) {
-			return Promise.resolve(resultScript);
+		if (lastCommand?.type === 'bulkInsert' && isSameCollection) {
+			lastCommand.documents.push(command.document);
+
+			return result;
 		}
 
+		const bulkInsertCommand = {
+			type: 'bulkInsert',
+			dbName: command.dbName,
+			collectionName: command.collectionName,
+			collection: command.collection,
+			documents: [command.document],
+			execute: () => insertDocuments(bulkInsertCommand, insertsSummary, insertSettings),
+		};
+
+		return [...result, bulkInsertCommand];
+	}, []);
+
+	if (!groupedCommands.some(command => command.type === 'bulkInsert')) {
+		return groupedCommands;
+	}
+
+	return [...groupedCommands, {
+		type: 'insertsSummary',
+		execute: () => logInsertsSummary(insertsSummary, insertSettings.logger),
+	}];
+};
+
+const insertDocuments = async ({ collection, documents }, insertsSummary, { batchSize, concurrency, numberOfSamples, logger }) => {
+	const previousSummary = { ...insertsSummary };
+	let prevInsertingProgress = 0;
+	const inserter = createBulkInserter({
+		collection,
+		batchSize,
+		concurrency,
+		logger,
+		onProgress({ inserted, failed }) {
+			const processedSamples = previousSummary.inserted + previousSummary.failed + inserted + failed;
+			const insertingProgress = Math.round((processedSamples / Math.max(numberOfSamples, processedSamples)) * 100);
+
+			if (insertingProgress - prevInsertingProgress < 5) {
+				return;
+			}
+			prevInsertingProgress = insertingProgress;
+
+			logger.info(`Inserting Samples: ${insertingProgress}%`);
+		},
+	});
+
+	for (const document of documents) {
+		await inserter.add(document);
+	}
+
+	const { inserted, failed } = await inserter.flush();
+
+	insertsSummary.inserted += inserted;
+	insertsSummary.failed += failed;
+};
+
+const logInsertsSummary = ({ inserted, failed, unreadFiles = 0 }, logger) => {
+	const message = `Samples inserted: ${inserted}, failed: ${failed}` + (unreadFiles > 0 ? `, unread sample files: ${unreadFiles}` : '');
+
+	if (failed === 0 && unreadFiles === 0) {
+		logger.info(message);
+
+		return;
+	}
+
+	const error = new Error([
+		failed > 0 && `${failed} of ${inserted + failed} samples are not inserted`,
+		unreadFiles > 0 && `${unreadFiles} sample file(s) are not read`,
+	].filter(Boolean).join(', '));
+	logger.error(error, message);
+
+	return Promise.reject(error);
+};
+
+const UPDATE_ACTIONS = {
+	CreateDatabase: 'UpdateDatabase',
+	CreateCollection: 'UpdateCollection',
+};
+
+const getResourceName = (db, commandData) => {
+	return commandData.collection ? `collection ${commandData.collection}` : `database ${db.databaseName}`;
+};
+
+const runCreateCommand = (db, commandData, logger) => {
+	const resourceName = getResourceName(db, commandData);
+
+	return db.command(commandData).then(() => {
+		logger.info(`${resourceName} created`);
+	}).catch(error => {
+		const doesResourceExist = error.codeName === 'NamespaceExists' || error.code === 48;
+
+		if (!doesResourceExist) {
+			const errMessage = `${resourceName} not created`;
+			logger.error(error, errMessage);
+			error.message = errMessage + ': ' + error.message;
+
+			return Promise.reject(error);
+		}
+
+		logger.info(`${resourceName} already exists, updating throughput`);
+
+		return updateThroughput(db, commandData, logger);
+	});
+};
+
+const updateThroughput = (db, { customAction, collection, offerThroughput, autoScaleSettings }, logger) => {
+	const resourceName = getResourceName(db, { collection });
+
+	return db.command({
+		customAction: UPDATE_ACTIONS[customAction],
+		...(collection ? { collection } : {}),
+		...(autoScaleSettings ? { autoScaleSettings } : { offerThroughput }),
+	}).then(() => {
+		logger.info(`throughput of ${resourceName} updated`);
+	}, error => {
+		logger.warning(`throughput of ${resourceName} is not updated: ` + error.message, error);
+	});
+};
+
+const runCustomAction = (db, commandData, logger) => {
+	const resourceName = getResourceName(db, commandData);
+
+	return db.command(commandData).then(() => {
+		logger.info(`${commandData.customAction} of ${resourceName} completed`);
+	}, error => {
+		const errMessage = `${commandData.customAction} of ${resourceName} failed`;
+		logger.error(error, errMessage);
+		error.message = errMessage + ': ' + error.message;
+
+		return Promise.reject(error);
+	});
+};
+
+const runValidatorCommand = (db, { create, collMod, validator }, logger) => {
+	const collectionName = create || collMod;
+	const resourceName = getResourceName(db, { collection: collectionName });
+	const updateValidator = () => db.command({ collMod: collectionName, validator });
+
+	return db.command(create ? { create, validator } : { collMod, validator }).catch(error => {
+		const doesCollectionExist = error.codeName === 'NamespaceExists' || error.code === 48;
+
+		return create && doesCollectionExist ? updateValidator() : Promise.reject(error);
+	}).then(() => {
+		logger.info(`schema validator of ${resourceName} applied`);
+	}, error => {
+		const errMessage = `schema validator of ${resourceName} not applied`;
+		logger.error(error, errMessage);
+		error.message = errMessage + ': ' + error.message;
+
+		return Promise.reject(error);
+	});
+};
+
+const runCreateIndexesCommand = (db, commandData, logger) => {
+	const indexName = commandData.indexes[0].name || '';
+
+	return db.command(commandData).then(() => {
+		logger.info(`index ${indexName} created`);
+	}, (error) => {
+		const errMessage = `index ${indexName} not created`;
+		logger.error(error, errMessage);
+		error.message = errMessage + ': ' + error.message;
+
+		return Promise.reject(error);
+	});
+};
+
+const runShardCollectionCommand = (db, commandData, logger) => {
+	return db.command(commandData).then(() => {
+		logger.info('Create sharding');
+	}).catch(error => {
+		const doesShardingExist = error.codeName === 'NamespaceExists' || error.code === 9;
+		if (doesShardingExist) {
+			logger.warning('shard key is not created:  ' + error.message, error);
+		} else {
+			const errMessage = 'error of creation sharding';
+			logger.error(error, errMessage);
+			error.message = errMessage + ': ' + error.message;
+
+			return Promise.reject(error);
+		}
+	});
+};
+
+const toTimestamp = (t, i) => {
+	const value = t && typeof t === 'object' ? t : { t, i };
+
+	return bson.Timestamp(Number(value.i), Number(value.t));
+};
+
+const getExtendedTypes = () => ({
+	ISODate: (d) => new Date(d),
+	ObjectId: bson.ObjectId,
+	Binary: bson.Binary,
+	BinData: (subType, value) => bson.Binary(Buffer.from(value, 'base64'), subType),
+	Timestamp: toTimestamp,
+	MinKey: bson.MinKey,
+	MaxKey: bson.MaxKey,
+	Code: bson.Code,
+});
+
+const parseDocuments = (lines, typesContext, logger) => {
+	try {
+		return vm.runInContext(`[${lines.map(convertBson).join(',\n')}]`, typesContext);
+	} catch (chunkError) {
+		return lines.reduce((documents, line) => {
+			try {
+				return [...documents, vm.runInContext(`(${convertBson(line)})`, typesContext)];
+			} catch (error) {
+				logger.error(error, `sample is not parsed. Reason: ${error.message}`);
+
+				return documents;
+			}
+		}, []);
+	}
+};
+
+const insertNdJsonSamples = async ({ connection, dbName, collectionName, entitiesData, logger: loggerInstance, dryRun, insertSettings }) => {
+	const logger = createLogger(loggerInstance);
+	const filePaths = Object.values(entitiesData).map(entityData => entityData.filePath).filter(Boolean);
+
+	if (filePaths.length === 0) {
+		return;
+	}
+
+	const typesContext = vm.createContext(getExtendedTypes());
+	const insertsSummary = { inserted: 0, failed: 0, unreadFiles: 0 };
+
+	for (const filePath of filePaths) {
+		if (dryRun) {
+			logger.info(`[dry run] create: documents of file ${filePath} in collection ${dbName}.${collectionName}`);
+			continue;
+		}
+
+		const inserter = createBulkInserter({
+			...insertSettings,
+			collection: connection.db(dbName).collection(collectionName),
+			logger,
+		});
+		let prevInsertingProgress = 0;
+		let failedToParse = 0;
+
 		try {
-			const documents = await readNdJsonByLine(entityData.filePath, logger);
-			numberOfSamples += documents.length;
+			await readNdJsonByChunks(filePath, {
+				log: loggerInstance,
+				async onChunk(lines) {
+					const documents = parseDocuments(lines, typesContext, logger);
+					failedToParse += lines.length - documents.length;
+
+					for (const document of documents) {
+						await inserter.add(document);
+					}
+				},
+				onProgress(progress) {
+					const insertingProgress = Math.round(progress * 100);
 
-			return resultScript + documents
-				.map(document => `db.getCollection("${collectionName}").insert(${document});`)
-				.join('\n\n');
+					if (insertingProgress - prevInsertingProgress < 5) {
+						return;
+					}
+					prevInsertingProgress = insertingProgress;
+
+					logger.info(`Inserting Samples: ${insertingProgress}%`);
+				},
+			});
 		} catch (error) {
-			logger.log('error', error, 'Error during publishing fake data in bulk');
+			insertsSummary.unreadFiles++;
+			loggerInstance.log('error', error, 'Error during publishing fake data in bulk');
 		}
-	}, Promise.resolve(script + '\n\n'));
 
-	return { scriptWithSamples, numberOfSamples };
+		const { inserted, failed } = await inserter.flush();
+
+		insertsSummary.inserted += inserted;
+		insertsSummary.failed += failed + failedToParse;
+	}
+
+	if (!dryRun) {
+		return logInsertsSummary(insertsSummary, logger);
+	}
 };
 
 const createLogger = logger => ({
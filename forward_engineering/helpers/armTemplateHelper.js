@@ -0,0 +1,434 @@
+const scriptHelper = require('./scriptHelper');
+const versionHelper = require('./versionHelper');
+
+const ARM_API_VERSION = '2024-05-15';
+const ARM_SCHEMA = 'https://schema.management.azure.com/schemas/2019-04-01/deploymentTemplate.json#';
+const ACCOUNT_TYPE = 'Microsoft.DocumentDB/databaseAccounts';
+const DATABASE_TYPE = 'Microsoft.DocumentDB/databaseAccounts/mongodbDatabases';
+const COLLECTION_TYPE = 'Microsoft.DocumentDB/databaseAccounts/mongodbDatabases/collections';
+const DEFAULT_ACCOUNT_NAME = 'cosmos-mongo-account';
+const MAPPED_INDEX_OPTIONS = ['name', 'background', 'unique', 'expireAfterSeconds'];
+
+const CONSISTENCY_LEVELS = {
+	'Eventual': 'Eventual',
+	'Session': 'Session',
+	'Bounded staleness': 'BoundedStaleness',
+	'Strong': 'Strong',
+	'Consistent prefix': 'ConsistentPrefix',
+};
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const filterEmpty = (obj) => Object.fromEntries(Object.entries(obj).filter(([key, value]) => !isEmptyValue(value)));
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const getModelProperties = (data) => data.modelData?.[0] || {};
+
+const getAccountName = (data) => {
+	const { code, name } = getModelProperties(data);
+	const accountName = String(code || name || '').toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+
+	return accountName.length >= 3 ? accountName.slice(0, 44) : DEFAULT_ACCOUNT_NAME;
+};
+
+const getServerVersion = (data) => {
+	return versionHelper.getDbVersion(data.modelData).split('.').slice(0, 2).join('.');
+};
+
+const getConsistencyPolicy = (modelProperties) => {
+	const defaultConsistencyLevel = CONSISTENCY_LEVELS[modelProperties.defaultConsistency];
+
+	if (!defaultConsistencyLevel) {
+		return;
+	}
+
+	if (defaultConsistencyLevel !== 'BoundedStaleness') {
+		return { defaultConsistencyLevel };
+	}
+
+	return filterEmpty({
+		defaultConsistencyLevel,
+		maxStalenessPrefix: modelProperties.maxStalenessPrefix,
+		maxIntervalInSeconds: modelProperties.maxIntervalInSeconds,
+	});
+};
+
+const getLocations = (modelProperties) => {
+	const locations = (modelProperties.locations || []).filter(location => location.locationName);
+
+	return locations.map((location, index) => filterEmpty({
+		locationName: location.locationName,
+		failoverPriority: location.failoverPriority ?? index,
+		isZoneRedundant: location.isZoneRedundant,
+	}));
+};
+
+const withDefaultLocation = (locations, location) => {
+	return locations.length ? locations : [{ locationName: location, failoverPriority: 0 }];
+};
+
+const getCapabilities = (modelProperties) => {
+	return [
+		'EnableMongo',
+		modelProperties.enableServerless && 'EnableServerless',
+		modelProperties.enableServerSideRetry && 'DisableRateLimitingResponses',
+		...(modelProperties.capabilities || []).map(capability => capability.capabilityName),
+	].filter((name, index, names) => name && names.indexOf(name) === index).map(name => ({ name }));
+};
+
+const getBackupPolicy = (modelProperties) => {
+	if (modelProperties.backupPolicyType === 'Continuous') {
+		return filterEmpty({
+			type: 'Continuous',
+			continuousModeProperties: modelProperties.continuousBackupTier ? { tier: modelProperties.continuousBackupTier } : undefined,
+		});
+	}
+
+	if (modelProperties.backupPolicyType === 'Periodic') {
+		const periodicModeProperties = filterEmpty({
+			backupIntervalInMinutes: modelProperties.backupIntervalInMinutes,
+			backupRetentionIntervalInHours: modelProperties.backupRetentionIntervalInHours,
+			backupStorageRedundancy: modelProperties.backupStorageRedundancy,
+		});
+
+		return filterEmpty({
+			type: 'Periodic',
+			periodicModeProperties: Object.keys(periodicModeProperties).length ? periodicModeProperties : undefined,
+		});
+	}
+};
+
+const getCors = (modelProperties) => {
+	return (modelProperties.cors || []).filter(rule => rule.allowedOrigins).map(rule => filterEmpty({
+		allowedOrigins: rule.allowedOrigins,
+		allowedMethods: rule.allowedMethods,
+		allowedHeaders: rule.allowedHeaders,
+		exposedHeaders: rule.exposedHeaders,
+		maxAgeInSeconds: rule.maxAgeInSeconds,
+	}));
+};
+
+const getTags = (modelProperties) => {
+	return (modelProperties.tags || []).filter(tag => tag.tagName).reduce((tags, tag) => ({
+		...tags,
+		[tag.tagName]: tag.tagValue || '',
+	}), {});
+};
+
+const getAccountProperties = (data) => {
+	const modelProperties = getModelProperties(data);
+
+	return filterEmpty({
+		databaseAccountOfferType: 'Standard',
+		apiProperties: { serverVersion: getServerVersion(data) },
+		consistencyPolicy: getConsistencyPolicy(modelProperties),
+		enableAutomaticFailover: modelProperties.enableAutomaticFailover,
+		enableMultipleWriteLocations: modelProperties.enableMultipleWriteLocations,
+		capabilities: getCapabilities(modelProperties),
+		backupPolicy: getBackupPolicy(modelProperties),
+		publicNetworkAccess: modelProperties.publicNetworkAccess,
+		isVirtualNetworkFilterEnabled: modelProperties.isVirtualNetworkFilterEnabled,
+		virtualNetworkRules: (modelProperties.virtualNetworkRules || []).filter(rule => rule.virtualNetworkId).map(rule => filterEmpty({
+			id: rule.virtualNetworkId,
+			ignoreMissingVNetServiceEndpoint: rule.ignoreMissingVNetServiceEndpoint,
+		})),
+		ipRules: splitList(modelProperties.ipRangeFilter).map(ipAddressOrRange => ({ ipAddressOrRange })),
+		enableAnalyticalStorage: modelProperties.enableAnalyticalStorage,
+		analyticalStorageConfiguration: modelProperties.enableAnalyticalStorage && modelProperties.analyticalStorageSchemaType
+			? { schemaType: modelProperties.analyticalStorageSchemaType }
+			: undefined,
+		cors: getCors(modelProperties),
+		disableKeyBasedMetadataWriteAccess: modelProperties.disableKeyBasedMetadataWriteAccess,
+		disableLocalAuth: modelProperties.disableLocalAuth,
+	});
+};
+
+const getThroughputOptions = (throughputSettings = {}, modelProperties) => {
+	if (modelProperties.enableServerless) {
+		return {};
+	}
+
+	if (throughputSettings.autoScaleSettings) {
+		return { autoscaleSettings: { maxThroughput: throughputSettings.autoScaleSettings.maxThroughput } };
+	}
+
+	if (throughputSettings.offerThroughput) {
+		return { throughput: throughputSettings.offerThroughput };
+	}
+
+	return {};
+};
+
+const toWarning = (comment) => comment.replace(/^\/\/\s*/, '');
+
+const formatFieldNames = (names) => names.map(name => `"${name}"`).join(', ');
+
+const getIndexDescription = ({ key, options }) => {
+	return options.name ? `Index "${options.name}"` : `Index on ${formatFieldNames(Object.keys(key))}`;
+};
+
+const getIndexWarning = (definition) => {
+	const description = getIndexDescription(definition);
+
+	if (Object.values(definition.key).includes('cosmosSearch')) {
+		return `${description} is a vector index and cannot be provisioned by Azure Resource Manager, create it with the MongoDB script.`;
+	}
+
+	const unsupportedKeys = Object.keys(definition.key).filter(name => definition.key[name] !== 1);
+
+	if (unsupportedKeys.length > 0) {
+		return `${description} is skipped, Azure Resource Manager only provisions ascending index keys, not ${formatFieldNames(unsupportedKeys)}.`;
+	}
+};
+
+const getCollectionIndexes = (data) => {
+	const definitions = scriptHelper.getIndexDefinitions(data.containerData, data.modelData);
+	const warnings = definitions.map(getIndexWarning).filter(Boolean);
+	const indexes = definitions.filter(definition => !getIndexWarning(definition)).map(({ key, options }) => {
+		const ignoredOptions = Object.keys(options).filter(option => !MAPPED_INDEX_OPTIONS.includes(option));
+		const indexOptions = filterEmpty({
+			unique: options.unique,
+			expireAfterSeconds: options.expireAfterSeconds,
+		});
+
+		if (ignoredOptions.length > 0) {
+			warnings.push(`${getIndexDescription({ key, options })} is provisioned without the options ${formatFieldNames(ignoredOptions)}, Azure Resource Manager does not support them.`);
+		}
+
+		return Object.keys(indexOptions).length
+			? { key: { keys: Object.keys(key) }, options: indexOptions }
+			: { key: { keys: Object.keys(key) } };
+	});
+
+	if (indexes.some(index => index.key.keys.length === 1 && index.key.keys[0] === '_id')) {
+		return { indexes, warnings };
+	}
+
+	return { indexes: [{ key: { keys: ['_id'] } }, ...indexes], warnings };
+};
+
+const getShardKeyField = (data) => {
+	const shardKey = scriptHelper.getShardKey(data);
+	const [field, ...ignoredFields] = shardKey.fields;
+	const warnings = shardKey.warnings.map(toWarning);
+
+	if (ignoredFields.length > 0) {
+		warnings.push(`Azure Resource Manager does not provision compound shard keys, only "${field.name}" is used as the shard key.`);
+	}
+	if (field && field.type !== 'hashed') {
+		warnings.push(`Azure Resource Manager only provisions hashed shard keys, "${field.name}" is hashed instead.`);
+	}
+
+	return { name: field?.name, warnings };
+};
+
+const getCollectionWarnings = (data) => {
+	return [...getShardKeyField(data).warnings, ...getCollectionIndexes(data).warnings];
+};
+
+const getDatabaseProperties = (data) => {
+	const databaseId = scriptHelper.getDbId(data.containerData);
+
+	return {
+		resource: { id: databaseId },
+		options: getThroughputOptions(scriptHelper.getThroughputSettings(scriptHelper.getDatabase(data)), getModelProperties(data)),
+	};
+};
+
+const getCollectionProperties = (data) => {
+	const shardKeyField = getShardKeyField(data);
+
+	return {
+		resource: filterEmpty({
+			id: scriptHelper.getContainerName(data.containerData),
+			shardKey: shardKeyField.name ? { [shardKeyField.name]: 'Hash' } : undefined,
+			indexes: getCollectionIndexes(data).indexes,
+		}),
+		options: getThroughputOptions(scriptHelper.getThroughputSettings(data.containerData[0]), getModelProperties(data)),
+	};
+};
+
+const assertRuBasedAccount = (data, outputName = 'ARM and Bicep templates are') => {
+	if (versionHelper.isVCore(data.modelData)) {
+		throw new Error(`${outputName} only generated for request unit (RU) based accounts, vCore clusters are not supported.`);
+	}
+};
+
+const assertDatabaseId = (data) => {
+	if (!scriptHelper.getDbId(data.containerData)) {
+		throw new Error('Database Id is required. Please, set it on the collection properties pane.');
+	}
+};
+
+const toArmString = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+const getArmTemplate = (data) => {
+	assertRuBasedAccount(data);
+	assertDatabaseId(data);
+
+	const modelProperties = getModelProperties(data);
+	const databaseId = toArmString(scriptHelper.getDbId(data.containerData));
+	const collectionName = toArmString(scriptHelper.getContainerName(data.containerData));
+	const accountId = `[resourceId('${ACCOUNT_TYPE}', parameters('accountName'))]`;
+	const databaseResourceId = `[resourceId('${DATABASE_TYPE}', parameters('accountName'), ${databaseId})]`;
+	const tags = getTags(modelProperties);
+	const collectionWarnings = getCollectionWarnings(data);
+
+	return scriptHelper.stringify({
+		$schema: ARM_SCHEMA,
+		contentVersion: '1.0.0.0',
+		parameters: {
+			accountName: {
+				type: 'string',
+				defaultValue: getAccountName(data),
+				metadata: { description: 'Name of the Cosmos DB account' },
+			},
+			location: {
+				type: 'string',
+				defaultValue: modelProperties.preferredLocation || '[resourceGroup().location]',
+				metadata: { description: 'Location of the Cosmos DB account' },
+			},
+		},
+		resources: [
+			filterEmpty({
+				type: ACCOUNT_TYPE,
+				apiVersion: ARM_API_VERSION,
+				name: `[parameters('accountName')]`,
+				location: `[parameters('location')]`,
+				kind: 'MongoDB',
+				tags: Object.keys(tags).length ? tags : undefined,
+				properties: {
+					...getAccountProperties(data),
+					locations: withDefaultLocation(getLocations(modelProperties), `[parameters('location')]`),
+				},
+			}),
+			{
+				type: DATABASE_TYPE,
+				apiVersion: ARM_API_VERSION,
+				name: `[format('{0}/{1}', parameters('accountName'), ${databaseId})]`,
+				dependsOn: [accountId],
+				properties: getDatabaseProperties(data),
+			},
+			filterEmpty({
+				type: COLLECTION_TYPE,
+				apiVersion: ARM_API_VERSION,
+				name: `[format('{0}/{1}/{2}', parameters('accountName'), ${databaseId}, ${collectionName})]`,
+				comments: collectionWarnings.join('\n'),
+				dependsOn: [databaseResourceId],
+				properties: getCollectionProperties(data),
+			}),
+		],
+	});
+};
+
+const BICEP_INDENT = '  ';
+
+class BicepExpression {
+	constructor(code) {
+		this.code = code;
+	}
+}
+
+const bicepExpression = (code) => new BicepExpression(code);
+
+const toBicepString = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\$\{/g, '\\${')}'`;
+
+const toBicepKey = (key) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : toBicepString(key);
+
+const toBicepValue = (value, depth = 0) => {
+	const indent = BICEP_INDENT.repeat(depth + 1);
+	const closingIndent = BICEP_INDENT.repeat(depth);
+
+	if (value instanceof BicepExpression) {
+		return value.code;
+	}
+
+	if (Array.isArray(value)) {
+		if (value.length === 0) {
+			return '[]';
+		}
+
+		return '[\n' + value.map(item => indent + toBicepValue(item, depth + 1)).join('\n') + '\n' + closingIndent + ']';
+	}
+
+	if (value && typeof value === 'object') {
+		const entries = Object.entries(value);
+
+		if (entries.length === 0) {
+			return '{}';
+		}
+
+		return '{\n' + entries.map(([key, item]) => `${indent}${toBicepKey(key)}: ${toBicepValue(item, depth + 1)}`).join('\n') + '\n' + closingIndent + '}';
+	}
+
+	if (typeof value === 'string') {
+		return toBicepString(value);
+	}
+
+	return String(value);
+};
+
+const toBicepIdentifier = (prefix, name) => `${prefix}_${String(name).replace(/[^A-Za-z0-9_]/g, '_')}`;
+
+const getBicepTemplate = (data) => {
+	assertRuBasedAccount(data);
+	assertDatabaseId(data);
+
+	const modelProperties = getModelProperties(data);
+	const databaseId = scriptHelper.getDbId(data.containerData);
+	const collectionName = scriptHelper.getContainerName(data.containerData);
+	const databaseIdentifier = toBicepIdentifier('database', databaseId);
+	const collectionIdentifier = toBicepIdentifier('collection', collectionName);
+	const tags = getTags(modelProperties);
+	const defaultLocation = modelProperties.preferredLocation
+		? toBicepString(modelProperties.preferredLocation)
+		: 'resourceGroup().location';
+
+	return [
+		`@description('Name of the Cosmos DB account')`,
+		`param accountName string = ${toBicepString(getAccountName(data))}`,
+		'',
+		`@description('Location of the Cosmos DB account')`,
+		`param location string = ${defaultLocation}`,
+		'',
+		`resource account '${ACCOUNT_TYPE}@${ARM_API_VERSION}' = ${toBicepValue(filterEmpty({
+			name: bicepExpression('accountName'),
+			location: bicepExpression('location'),
+			kind: 'MongoDB',
+			tags: Object.keys(tags).length ? tags : undefined,
+			properties: {
+				...getAccountProperties(data),
+				locations: withDefaultLocation(getLocations(modelProperties), bicepExpression('location')),
+			},
+		}))}`,
+		'',
+		`resource ${databaseIdentifier} '${DATABASE_TYPE}@${ARM_API_VERSION}' = ${toBicepValue({
+			parent: bicepExpression('account'),
+			name: databaseId,
+			properties: getDatabaseProperties(data),
+		})}`,
+		'',
+		...getCollectionWarnings(data).map(warning => `// ${warning}`),
+		`resource ${collectionIdentifier} '${COLLECTION_TYPE}@${ARM_API_VERSION}' = ${toBicepValue({
+			parent: bicepExpression(databaseIdentifier),
+			name: collectionName,
+			properties: getCollectionProperties(data),
+		})}`,
+		'',
+	].join('\n');
+};
+
+module.exports = {
+	getArmTemplate,
+	getBicepTemplate,
+	getAccountName,
+	getAccountProperties,
+	getCollectionIndexes,
+	getShardKeyField,
+	getLocations,
+	getTags,
+	getThroughputOptions,
+	assertRuBasedAccount,
+	assertDatabaseId,
+};
@@ -0,0 +1,126 @@
+const {
+	DEFAULT_MAX_RETRIES,
+	isThrottlingError,
+	getRetryAfterMs,
+	delay,
+} = require('../../reverse_engineering/helpers/throttlingHelper');
+
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_CONCURRENCY = 4;
+
+const getPositiveNumber = (value, defaultValue) => {
+	const number = Math.floor(Number(value));
+
+	return number > 0 ? number : defaultValue;
+};
+
+const getWriteErrors = (error) => {
+	if (typeof error?.result?.getWriteErrors === 'function') {
+		return error.result.getWriteErrors();
+	}
+
+	return error?.writeErrors;
+};
+
+const insertBatch = async (collection, documents, logger) => {
+	let pending = documents;
+	let inserted = 0;
+	let failed = 0;
+
+	for (let attempt = 0; pending.length > 0; attempt++) {
+		try {
+			const result = await collection.insertMany(pending, { ordered: false });
+
+			return { inserted: inserted + result.insertedCount, failed };
+		} catch (error) {
+			const writeErrors = getWriteErrors(error);
+			const canRetry = attempt < DEFAULT_MAX_RETRIES;
+
+			if (!Array.isArray(writeErrors) || writeErrors.length === 0) {
+				if (isThrottlingError(error) && canRetry) {
+					await delay(getRetryAfterMs(error, attempt));
+					continue;
+				}
+
+				logger.error(error, `${pending.length} document(s) are not inserted. Reason: ${error.message}`);
+
+				return { inserted, failed: failed + pending.length };
+			}
+
+			const throttledErrors = writeErrors.filter(isThrottlingError);
+			const failedErrors = writeErrors.filter(writeError => !isThrottlingError(writeError));
+
+			inserted += pending.length - writeErrors.length;
+			failed += failedErrors.length;
+
+			if (failedErrors.length > 0) {
+				logger.error(error, `${failedErrors.length} document(s) are not inserted. Reason: ${failedErrors[0].errmsg}`);
+			}
+
+			if (throttledErrors.length === 0 || !canRetry) {
+				return { inserted, failed: failed + throttledErrors.length };
+			}
+
+			await delay(getRetryAfterMs(throttledErrors[0], attempt));
+
+			pending = throttledErrors.map(writeError => pending[writeError.index]);
+		}
+	}
+
+	return { inserted, failed };
+};
+
+const createBulkInserter = ({ collection, batchSize, concurrency, logger, onProgress }) => {
+	const maxBatchSize = getPositiveNumber(batchSize, DEFAULT_BATCH_SIZE);
+	const maxConcurrency = getPositiveNumber(concurrency, DEFAULT_CONCURRENCY);
+	const running = new Set();
+	const summary = { inserted: 0, failed: 0 };
+	let batch = [];
+
+	const runBatch = (documents) => {
+		const promise = insertBatch(collection, documents, logger).then(({ inserted, failed }) => {
+			summary.inserted += inserted;
+			summary.failed += failed;
+
+			if (typeof onProgress === 'function') {
+				onProgress(summary);
+			}
+		}).finally(() => {
+			running.delete(promise);
+		});
+
+		running.add(promise);
+	};
+
+	return {
+		async add(document) {
+			batch.push(document);
+
+			if (batch.length < maxBatchSize) {
+				return;
+			}
+
+			runBatch(batch);
+			batch = [];
+
+			while (running.size >= maxConcurrency) {
+				await Promise.race(running);
+			}
+		},
+
+		async flush() {
+			if (batch.length > 0) {
+				runBatch(batch);
+				batch = [];
+			}
+
+			await Promise.all(running);
+
+			return { ...summary };
+		},
+	};
+};
+
+module.exports = {
+	createBulkInserter,
+};
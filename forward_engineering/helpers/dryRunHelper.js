@@ -0,0 +1,310 @@
+const collectionInfoHelper = require('../../reverse_engineering/helpers/collectionInfoHelper');
+const updateScriptHelper = require('./updateScriptHelper');
+const versionHelper = require('./versionHelper');
+
+const STATUS = {
+	CREATE: 'create',
+	UPDATE: 'update',
+	DROP: 'drop',
+	SKIP: 'skip',
+	CONFLICT: 'conflict',
+};
+
+const isSameKey = (firstKey, secondKey) => JSON.stringify(firstKey) === JSON.stringify(secondKey);
+
+const getShardKeyFields = (shardKeyDefinition) => shardKeyDefinition.map(key => key.name);
+
+const formatShardKey = (fields) => fields.map(field => `"${field}"`).join(', ');
+
+const getDefaultIndexName = (key) => {
+	return Object.entries(key).map(([name, type]) => `${name}_${type}`).join('_');
+};
+
+const createInstanceState = (connection, modelData) => {
+	const databases = {};
+	let databaseNames;
+
+	const getDatabaseNames = async () => {
+		if (!databaseNames) {
+			const result = await connection.db().admin().listDatabases({ nameOnly: true });
+			databaseNames = result.databases.map(database => database.name);
+		}
+
+		return databaseNames;
+	};
+
+	const getDatabase = async (dbName) => {
+		if (!databases[dbName]) {
+			databases[dbName] = {
+				exists: (await getDatabaseNames()).includes(dbName),
+				collections: {},
+			};
+		}
+
+		return databases[dbName];
+	};
+
+	const getShardingKey = (dbName, collectionName) => {
+		if (versionHelper.isVCore(modelData)) {
+			return collectionInfoHelper.getClusterShardingKey(connection, dbName, collectionName);
+		}
+
+		return collectionInfoHelper.getShardingKey(connection.db(dbName), collectionName);
+	};
+
+	const getCollection = async (dbName, collectionName) => {
+		const database = await getDatabase(dbName);
+
+		if (database.collections[collectionName]) {
+			return database.collections[collectionName];
+		}
+
+		const db = connection.db(dbName);
+		const collections = database.exists
+			? await db.listCollections({ name: collectionName }, { nameOnly: true }).toArray()
+			: [];
+
+		if (collections.length === 0) {
+			database.collections[collectionName] = { exists: false, shardKey: [], indexes: [], documentsCount: 0 };
+
+			return database.collections[collectionName];
+		}
+
+		const [shardKey, indexes, documentsCount] = await Promise.all([
+			getShardingKey(dbName, collectionName).then(getShardKeyFields, () => []),
+			collectionInfoHelper.listIndexes(db, collectionName),
+			db.collection(collectionName).estimatedDocumentCount(),
+		]);
+
+		database.collections[collectionName] = { exists: true, shardKey, indexes, documentsCount };
+
+		return database.collections[collectionName];
+	};
+
+	return {
+		modelData,
+		getDatabase,
+		getCollection,
+	};
+};
+
+const planCreateIndex = async (state, { dbName, collectionName, key, options }) => {
+	const collection = await state.getCollection(dbName, collectionName);
+	const name = options.name || getDefaultIndexName(key);
+	const target = `index "${name}" on ${dbName}.${collectionName}`;
+	const indexWithSameName = collection.indexes.find(index => index.name === name);
+	const indexWithSameKey = collection.indexes.find(index => isSameKey(collectionInfoHelper.getNormalizedIndexKey(index), key));
+
+	if (indexWithSameName && updateScriptHelper.isSameIndex({ key, options }, indexWithSameName)) {
+		return { status: STATUS.SKIP, message: `${target} already exists` };
+	}
+
+	if (indexWithSameName) {
+		return { status: STATUS.CONFLICT, message: `${target} already exists with a different definition` };
+	}
+
+	if (indexWithSameKey) {
+		return { status: STATUS.CONFLICT, message: `${target} has the same key as the existing index "${indexWithSameKey.name}"` };
+	}
+
+	if (options.unique && collection.documentsCount > 0 && !versionHelper.supportsUniqueIndexOnNonEmptyCollection(state.modelData)) {
+		return { status: STATUS.CONFLICT, message: `${target} is unique, but unique indexes can only be created on an empty collection` };
+	}
+
+	if (options.unique && !collection.shardKey.every(field => Object.keys(key).includes(field))) {
+		return { status: STATUS.CONFLICT, message: `${target} is unique, but does not include the shard key ${formatShardKey(collection.shardKey)}` };
+	}
+
+	collection.exists = true;
+	collection.indexes.push({ ...options, name, key });
+
+	return { status: STATUS.CREATE, message: target };
+};
+
+const planDropIndex = async (state, { dbName, collectionName, indexName }) => {
+	const collection = await state.getCollection(dbName, collectionName);
+	const target = `index "${indexName}" on ${dbName}.${collectionName}`;
+
+	if (!collection.indexes.some(index => index.name === indexName)) {
+		return { status: STATUS.SKIP, message: `${target} does not exist` };
+	}
+
+	collection.indexes = collection.indexes.filter(index => index.name !== indexName);
+
+	return { status: STATUS.DROP, message: target };
+};
+
+const planShardCollection = async (state, command) => {
+	const [dbName, ...collectionNameParts] = command.shardCollection.split('.');
+	const collectionName = collectionNameParts.join('.');
+	const shardKey = Object.keys(command.key || {});
+
+	return planCollection(state, { dbName, collectionName, shardKey });
+};
+
+const planCollection = async (state, { dbName, collectionName, shardKey = [], hasThroughput, hasValidator }) => {
+	const collection = await state.getCollection(dbName, collectionName);
+	const target = `collection ${dbName}.${collectionName}`;
+
+	if (!collection.exists) {
+		collection.exists = true;
+		collection.shardKey = shardKey;
+		(await state.getDatabase(dbName)).exists = true;
+
+		return { status: STATUS.CREATE, message: shardKey.length > 0 ? `${target} with shard key ${formatShardKey(shardKey)}` : target };
+	}
+
+	if (shardKey.length > 0 && !isSameKey(collection.shardKey, shardKey)) {
+		const currentShardKey = collection.shardKey.length > 0 ? `shard key ${formatShardKey(collection.shardKey)}` : 'no shard key';
+
+		return { status: STATUS.CONFLICT, message: `${target} already exists with ${currentShardKey}, it cannot be sharded by ${formatShardKey(shardKey)}` };
+	}
+
+	if (hasThroughput) {
+		return { status: STATUS.UPDATE, message: `throughput of ${target}, the collection already exists` };
+	}
+
+	if (hasValidator) {
+		return { status: STATUS.UPDATE, message: `schema validator of ${target}, the collection already exists` };
+	}
+
+	return { status: STATUS.SKIP, message: `${target} already exists` };
+};
+
+const planDatabase = async (state, { dbName }) => {
+	const database = await state.getDatabase(dbName);
+
+	if (database.exists) {
+		return { status: STATUS.UPDATE, message: `shared throughput of database ${dbName}, the database already exists` };
+	}
+
+	database.exists = true;
+
+	return { status: STATUS.CREATE, message: `database ${dbName}` };
+};
+
+const planCustomAction = async (state, { dbName, command }) => {
+	const collection = await state.getCollection(dbName, command.collection);
+	const target = `${command.customAction} of collection ${dbName}.${command.collection}`;
+
+	if (!collection.exists) {
+		return { status: STATUS.CONFLICT, message: `${target}, the collection does not exist` };
+	}
+
+	return { status: STATUS.UPDATE, message: target };
+};
+
+const planCollMod = async (state, { dbName, command }) => {
+	const collection = await state.getCollection(dbName, command.collMod);
+	const target = `schema validator of collection ${dbName}.${command.collMod}`;
+
+	if (!collection.exists) {
+		return { status: STATUS.CONFLICT, message: `${target}, the collection does not exist` };
+	}
+
+	return { status: STATUS.UPDATE, message: target };
+};
+
+const planRunCommand = (state, descriptor) => {
+	const { dbName, command } = descriptor;
+
+	if (command.shardCollection) {
+		return planShardCollection(state, command);
+	}
+
+	if (command.customAction === 'CreateDatabase') {
+		return planDatabase(state, descriptor);
+	}
+
+	if (command.customAction === 'CreateCollection') {
+		return planCollection(state, {
+			dbName,
+			collectionName: command.collection,
+			shardKey: command.shardKey ? [command.shardKey] : [],
+			hasThroughput: Boolean(command.offerThroughput || command.autoScaleSettings),
+		});
+	}
+
+	if (command.customAction) {
+		return planCustomAction(state, descriptor);
+	}
+
+	if (command.create) {
+		return planCollection(state, { dbName, collectionName: command.create, hasValidator: Boolean(command.validator) });
+	}
+
+	if (command.collMod) {
+		return planCollMod(state, descriptor);
+	}
+
+	return { status: STATUS.UPDATE, message: `run command ${Object.keys(command)[0]} on database ${dbName}` };
+};
+
+const planInserts = (commands) => {
+	const insertsByCollection = commands.filter(command => command.type === 'insert').reduce((result, { dbName, collectionName }) => {
+		const target = `${dbName}.${collectionName}`;
+
+		return {
+			...result,
+			[target]: (result[target] || 0) + 1,
+		};
+	}, {});
+
+	return Object.entries(insertsByCollection).map(([target, count]) => ({
+		status: STATUS.CREATE,
+		message: `${count} document(s) in collection ${target}`,
+	}));
+};
+
+const planCommand = (state, descriptor) => {
+	switch (descriptor.type) {
+		case 'createIndex':
+			return planCreateIndex(state, descriptor);
+		case 'dropIndex':
+			return planDropIndex(state, descriptor);
+		case 'runCommand':
+			return planRunCommand(state, descriptor);
+	}
+};
+
+const logEntry = (logger, { status, message }) => {
+	if (status === STATUS.CONFLICT) {
+		logger.warning(`[dry run] ${status}: ${message}`);
+	} else {
+		logger.info(`[dry run] ${status}: ${message}`);
+	}
+};
+
+const getSummary = (entries) => {
+	const count = status => entries.filter(entry => entry.status === status).length;
+
+	return `Dry run completed, nothing was written: ${count(STATUS.CREATE)} to create, ${count(STATUS.UPDATE)} to update, `
+		+ `${count(STATUS.DROP)} to drop, ${count(STATUS.SKIP)} skipped, ${count(STATUS.CONFLICT)} conflict(s)`;
+};
+
+const planCommands = async ({ connection, commands, logger, modelData }) => {
+	const state = createInstanceState(connection, modelData);
+	const entries = [];
+
+	for (const descriptor of commands.filter(command => command.type !== 'insert')) {
+		const entry = await planCommand(state, descriptor);
+
+		entries.push(entry);
+		logEntry(logger, entry);
+	}
+
+	planInserts(commands).forEach(entry => {
+		entries.push(entry);
+		logEntry(logger, entry);
+	});
+
+	logger.info(getSummary(entries));
+
+	return entries;
+};
+
+module.exports = {
+	STATUS,
+	planCommand,
+	planCommands,
+};
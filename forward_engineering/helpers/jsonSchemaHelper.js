@@ -0,0 +1,231 @@
+const { keepParentType } = require('../../package.json').contributes.features.forwardEngineering.jsonSchema;
+
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-04/schema#';
+
+const VALIDATION_KEYWORDS = [
+	'title',
+	'description',
+	'enum',
+	'multipleOf',
+	'minimum',
+	'maximum',
+	'minLength',
+	'maxLength',
+	'pattern',
+	'minItems',
+	'maxItems',
+	'uniqueItems',
+	'minProperties',
+	'maxProperties',
+	'additionalProperties',
+	'additionalItems',
+];
+
+const NUMERIC_KEYWORDS = ['multipleOf', 'minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems', 'minProperties', 'maxProperties'];
+
+const BSON_TYPES = {
+	string: 'string',
+	boolean: 'bool',
+	document: 'object',
+	object: 'object',
+	array: 'array',
+	objectId: 'objectId',
+	date: 'date',
+	timestamp: 'timestamp',
+	binary: 'binData',
+	regex: 'regex',
+	JavaScript: 'javascript',
+	'JavaScript(w/scope)': 'javascriptWithScope',
+	symbol: 'symbol',
+	minKey: 'minKey',
+	maxKey: 'maxKey',
+	null: 'null',
+	number: 'number',
+	integer: 'int',
+};
+
+const NUMERIC_BSON_TYPES = {
+	integer32: 'int',
+	integer64: 'long',
+	double: 'double',
+	decimal128: 'decimal',
+};
+
+const JSON_TYPES = {
+	document: 'object',
+	numeric: 'number',
+};
+
+const INTEGER_MODES = ['integer32', 'integer64'];
+
+const isEmptyValue = (value) => {
+	return value === undefined || value === '' || value === null || (Array.isArray(value) && value.length === 0);
+};
+
+const unique = (items) => items.filter((item, index) => items.indexOf(item) === index);
+
+const parseSchema = (schema) => {
+	if (typeof schema !== 'string') {
+		return schema || {};
+	}
+
+	try {
+		return JSON.parse(schema);
+	} catch (e) {
+		return {};
+	}
+};
+
+const getTypes = (schema) => [].concat(schema.type || []);
+
+const getValidationKeywords = (schema) => {
+	return VALIDATION_KEYWORDS.reduce((result, keyword) => {
+		const value = schema[keyword];
+
+		if (isEmptyValue(value)) {
+			return result;
+		}
+
+		return {
+			...result,
+			[keyword]: NUMERIC_KEYWORDS.includes(keyword) ? Number(value) : value,
+		};
+	}, {});
+};
+
+const getRequired = (schema) => {
+	const properties = schema.properties || {};
+	const requiredProperties = Object.keys(properties).filter(name => properties[name]?.required === true);
+
+	return unique([...(Array.isArray(schema.required) ? schema.required : []), ...requiredProperties]);
+};
+
+const convertSchema = (schema, getTypeKeywords) => {
+	const result = {
+		...getTypeKeywords(schema),
+		...getValidationKeywords(schema),
+	};
+	const required = getRequired(schema);
+
+	if (schema.exclusiveMinimum === true && 'minimum' in result) {
+		result.exclusiveMinimum = true;
+	}
+	if (schema.exclusiveMaximum === true && 'maximum' in result) {
+		result.exclusiveMaximum = true;
+	}
+	if (schema.properties && typeof schema.properties === 'object') {
+		result.properties = Object.keys(schema.properties).reduce((properties, name) => ({
+			...properties,
+			[name]: convertSchema(schema.properties[name], getTypeKeywords),
+		}), {});
+	}
+	if (schema.patternProperties && typeof schema.patternProperties === 'object') {
+		result.patternProperties = Object.keys(schema.patternProperties).reduce((properties, pattern) => ({
+			...properties,
+			[pattern]: convertSchema(schema.patternProperties[pattern], getTypeKeywords),
+		}), {});
+	}
+	if (Array.isArray(schema.items)) {
+		result.items = schema.items.map(item => convertSchema(item, getTypeKeywords));
+	} else if (schema.items && typeof schema.items === 'object') {
+		result.items = convertSchema(schema.items, getTypeKeywords);
+	}
+	['oneOf', 'anyOf', 'allOf'].forEach(keyword => {
+		if (Array.isArray(schema[keyword]) && schema[keyword].length > 0) {
+			result[keyword] = schema[keyword].map(choice => convertSchema(choice, getTypeKeywords));
+		}
+	});
+	if (required.length > 0) {
+		result.required = required;
+	}
+
+	return result;
+};
+
+const getBsonType = (type, mode) => {
+	if (type === 'numeric') {
+		return NUMERIC_BSON_TYPES[mode] || 'number';
+	}
+
+	return BSON_TYPES[type];
+};
+
+const getBsonTypeKeywords = (schema) => {
+	const bsonTypes = unique(getTypes(schema).map(type => getBsonType(type, schema.mode)).filter(Boolean));
+
+	if (bsonTypes.length === 0) {
+		return {};
+	}
+
+	return {
+		bsonType: bsonTypes.length === 1 ? bsonTypes[0] : bsonTypes,
+	};
+};
+
+const getJsonType = (type, mode) => {
+	if (type === 'numeric' && INTEGER_MODES.includes(mode)) {
+		return 'integer';
+	}
+
+	return JSON_TYPES[type] || type;
+};
+
+const getJsonTypeKeywords = (schema) => {
+	const types = getTypes(schema);
+
+	if (types.length === 1 && keepParentType[types[0]]) {
+		const parentType = keepParentType[types[0]];
+
+		return typeof parentType === 'string' ? { type: parentType } : { ...parentType };
+	}
+
+	const jsonTypes = unique(types.map(type => {
+		const parentType = keepParentType[type];
+
+		return parentType ? (parentType.type || parentType) : getJsonType(type, schema.mode);
+	}));
+
+	if (jsonTypes.length === 0) {
+		return {};
+	}
+
+	return {
+		type: jsonTypes.length === 1 ? jsonTypes[0] : jsonTypes,
+	};
+};
+
+const getEntitySchemas = (data) => {
+	if (!Array.isArray(data.entities)) {
+		return [parseSchema(data.jsonSchema)];
+	}
+
+	return data.entities.map(entityId => parseSchema(data.jsonSchema?.[entityId]));
+};
+
+const getValidator = (data) => {
+	const schemas = getEntitySchemas(data)
+		.filter(schema => schema.properties)
+		.map(schema => convertSchema(schema, getBsonTypeKeywords));
+
+	if (schemas.length === 0) {
+		return;
+	}
+
+	return {
+		$jsonSchema: schemas.length === 1 ? schemas[0] : { anyOf: schemas },
+	};
+};
+
+const getStandaloneJsonSchemas = (data) => {
+	return getEntitySchemas(data)
+		.filter(schema => schema.properties)
+		.map(schema => ({
+			$schema: JSON_SCHEMA_DRAFT,
+			...convertSchema(schema, getJsonTypeKeywords),
+		}));
+};
+
+module.exports = {
+	getValidator,
+	getStandaloneJsonSchemas,
+};
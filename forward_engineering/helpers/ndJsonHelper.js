@@ -1,14 +1,7 @@
 const fs = require('fs');
 const { createInterface } = require('readline');
 
-const createNdJsonStream = (ndJsonFilePath, onData) => {
-    const stream = fs.createReadStream(ndJsonFilePath);
-
-    return createInterface({ input: stream, crlfDelay: Infinity })
-        .on('line', data => {
-            onData(data);
-        });
-};
+const DEFAULT_CHUNK_SIZE = 1000;
 
 const shouldLogStep = line => {
     if (line < 1000) {
@@ -18,20 +11,6 @@ const shouldLogStep = line => {
     }
 };
 
-const getCountOfLines = filePath =>
-    new Promise((resolve, reject) => {
-        let countOfLines = 0;
-
-        try {
-            createNdJsonStream(filePath, () => { countOfLines++; })
-                .on('close', () => {
-                    resolve(countOfLines);
-                });
-        } catch (error) {
-            reject(createFileError(error));
-        }
-    });
-
 const createFileError = error => {
     const fileError = new Error(error);
 
@@ -40,29 +19,102 @@ const createFileError = error => {
     return fileError;
 };
 
-const readNdJsonByLine = async (filePath, log) => {
-    const maxDocuments = await getCountOfLines(filePath);
-    let line = 0;
-    const documents = [];
+const getFileSize = filePath =>
+    new Promise((resolve, reject) => {
+        fs.stat(filePath, (error, stats) => {
+            if (error) {
+                return reject(createFileError(error));
+            }
+
+            return resolve(stats.size);
+        });
+    });
+
+const readNdJsonByChunks = async (filePath, { chunkSize = DEFAULT_CHUNK_SIZE, onChunk, onProgress, log }) => {
+    const fileSize = await getFileSize(filePath);
+
     return new Promise((resolve, reject) => {
-        try {
-            createNdJsonStream(filePath, async data => {
+        const stream = fs.createReadStream(filePath);
+        const lineReader = createInterface({ input: stream, crlfDelay: Infinity });
+        let lines = [];
+        let line = 0;
+        let flushing = null;
+        let failed = false;
+        let closed = false;
+
+        const getProgress = () => fileSize ? stream.bytesRead / fileSize : 1;
+
+        const fail = error => {
+            if (failed) {
+                return;
+            }
+
+            failed = true;
+            lineReader.close();
+            stream.destroy();
+            reject(error);
+        };
+
+        const flushChunks = async () => {
+            while (!failed && (lines.length >= chunkSize || (closed && lines.length > 0))) {
+                await onChunk(lines.splice(0, chunkSize));
+
+                if (typeof onProgress === 'function') {
+                    onProgress(getProgress());
+                }
+            }
+        };
+
+        const flush = () => {
+            if (flushing) {
+                return flushing;
+            }
+            if (!closed) {
+                lineReader.pause();
+            }
+
+            flushing = flushChunks().then(() => {
+                flushing = null;
+
+                if (!closed && !failed) {
+                    lineReader.resume();
+                }
+            }, fail);
+
+            return flushing;
+        };
+
+        stream.on('error', error => fail(createFileError(error)));
+
+        lineReader
+            .on('line', data => {
                 line++;
 
                 if (shouldLogStep(line)) {
-                    log.log('info', { message: `NDJSON_READ_LINES - lines: ${line} / ${maxDocuments}, progress: ${line / maxDocuments}` });
+                    log.log('info', { message: `NDJSON_READ_LINES - lines: ${line}, progress: ${getProgress()}` });
                 }
                 if (data) {
-                    documents.push(data);
+                    lines.push(data);
+                }
+                if (lines.length >= chunkSize) {
+                    flush();
                 }
-            }).on('close', () => {
-                log.log('info', { message: `NDJSON_READ_LINES - lines: ${line} / ${maxDocuments}, progress: ${line / maxDocuments}` });
-                return resolve(documents);
             })
-        } catch (error) {
-            return reject(error);
-        }
+            .on('close', () => {
+                closed = true;
+
+                Promise.resolve(flushing)
+                    .then(() => failed || flush())
+                    .then(() => {
+                        if (failed) {
+                            return;
+                        }
+
+                        log.log('info', { message: `NDJSON_READ_LINES - lines: ${line}, progress: ${getProgress()}` });
+                        resolve(line);
+                    });
+            });
     });
 };
 
-module.exports = readNdJsonByLine;
+module.exports = readNdJsonByChunks;
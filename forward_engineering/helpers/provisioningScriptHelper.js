@@ -0,0 +1,147 @@
+const scriptHelper = require('./scriptHelper');
+const armTemplateHelper = require('./armTemplateHelper');
+
+const getModelProperties = (data) => data.modelData?.[0] || {};
+
+const toShellString = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+const toPowerShellString = (value) => `'${String(value).replace(/'/g, `''`)}'`;
+
+const toComment = (warning) => `# ${warning}`;
+
+const renderCommand = (command, args, lineContinuation) => {
+	return [command, ...args].join(` ${lineContinuation}\n\t`);
+};
+
+const getProvisioningData = (data) => {
+	const modelProperties = getModelProperties(data);
+	const shardKeyField = armTemplateHelper.getShardKeyField(data);
+	const { indexes, warnings: indexWarnings } = armTemplateHelper.getCollectionIndexes(data);
+
+	return {
+		accountName: armTemplateHelper.getAccountName(data),
+		resourceGroupName: modelProperties.resGrp || '',
+		databaseName: scriptHelper.getDbId(data.containerData),
+		collectionName: scriptHelper.getContainerName(data.containerData),
+		shardKeyName: shardKeyField.name,
+		warnings: [...shardKeyField.warnings, ...indexWarnings],
+		indexes,
+		databaseThroughput: armTemplateHelper.getThroughputOptions(
+			scriptHelper.getThroughputSettings(scriptHelper.getDatabase(data)),
+			modelProperties,
+		),
+		collectionThroughput: armTemplateHelper.getThroughputOptions(
+			scriptHelper.getThroughputSettings(data.containerData[0] || {}),
+			modelProperties,
+		),
+	};
+};
+
+const getAzureCliThroughputArgs = (throughputOptions) => {
+	if (throughputOptions.autoscaleSettings) {
+		return [`--max-throughput ${throughputOptions.autoscaleSettings.maxThroughput}`];
+	}
+
+	if (throughputOptions.throughput) {
+		return [`--throughput ${throughputOptions.throughput}`];
+	}
+
+	return [];
+};
+
+const getAzureCliScript = (data) => {
+	armTemplateHelper.assertRuBasedAccount(data, 'Azure CLI scripts are');
+	armTemplateHelper.assertDatabaseId(data);
+
+	const provisioningData = getProvisioningData(data);
+	const accountArgs = ['--resource-group "$RESOURCE_GROUP"', '--account-name "$ACCOUNT_NAME"'];
+
+	return [
+		'#!/usr/bin/env bash\nset -euo pipefail',
+		[
+			`RESOURCE_GROUP=\${RESOURCE_GROUP:-${toShellString(provisioningData.resourceGroupName)}}`,
+			': "${RESOURCE_GROUP:?Set RESOURCE_GROUP to the resource group of the Cosmos DB account}"',
+			`ACCOUNT_NAME=${toShellString(provisioningData.accountName)}`,
+		].join('\n'),
+		renderCommand('az cosmosdb mongodb database create', [
+			...accountArgs,
+			`--name ${toShellString(provisioningData.databaseName)}`,
+			...getAzureCliThroughputArgs(provisioningData.databaseThroughput),
+		], '\\'),
+		[
+			...provisioningData.warnings.map(toComment),
+			renderCommand('az cosmosdb mongodb collection create', [
+				...accountArgs,
+				`--database-name ${toShellString(provisioningData.databaseName)}`,
+				`--name ${toShellString(provisioningData.collectionName)}`,
+				...(provisioningData.shardKeyName ? [`--shard ${toShellString(provisioningData.shardKeyName)}`] : []),
+				`--idx ${toShellString(JSON.stringify(provisioningData.indexes))}`,
+				...getAzureCliThroughputArgs(provisioningData.collectionThroughput),
+			], '\\'),
+		].join('\n'),
+	].join('\n\n') + '\n';
+};
+
+const getPowerShellThroughputArgs = (throughputOptions) => {
+	if (throughputOptions.autoscaleSettings) {
+		return [`-AutoscaleMaxThroughput ${throughputOptions.autoscaleSettings.maxThroughput}`];
+	}
+
+	if (throughputOptions.throughput) {
+		return [`-Throughput ${throughputOptions.throughput}`];
+	}
+
+	return [];
+};
+
+const getPowerShellIndex = (index) => {
+	const options = index.options || {};
+
+	return [
+		'New-AzCosmosDBMongoDBIndex',
+		`-Key ${index.key.keys.map(toPowerShellString).join(', ')}`,
+		...(options.unique ? ['-Unique $true'] : []),
+		...(options.expireAfterSeconds !== undefined ? [`-TtlInSeconds ${options.expireAfterSeconds}`] : []),
+	].join(' ');
+};
+
+const getPowerShellScript = (data) => {
+	armTemplateHelper.assertRuBasedAccount(data, 'PowerShell scripts are');
+	armTemplateHelper.assertDatabaseId(data);
+
+	const provisioningData = getProvisioningData(data);
+	const accountArgs = ['-ResourceGroupName $resourceGroupName', '-AccountName $accountName'];
+
+	return [
+		`param(\n\t[string]$resourceGroupName = ${toPowerShellString(provisioningData.resourceGroupName)}\n)`,
+		'$ErrorActionPreference = \'Stop\'',
+		'if (-not $resourceGroupName) {\n\tthrow \'Set the -resourceGroupName parameter to the resource group of the Cosmos DB account.\'\n}',
+		`$accountName = ${toPowerShellString(provisioningData.accountName)}`,
+		renderCommand('New-AzCosmosDBMongoDBDatabase', [
+			...accountArgs,
+			`-Name ${toPowerShellString(provisioningData.databaseName)}`,
+			...getPowerShellThroughputArgs(provisioningData.databaseThroughput),
+		], '`'),
+		[
+			'$indexes = @(',
+			provisioningData.indexes.map(index => `\t(${getPowerShellIndex(index)})`).join(',\n'),
+			')',
+		].join('\n'),
+		[
+			...provisioningData.warnings.map(toComment),
+			renderCommand('New-AzCosmosDBMongoDBCollection', [
+				...accountArgs,
+				`-DatabaseName ${toPowerShellString(provisioningData.databaseName)}`,
+				`-Name ${toPowerShellString(provisioningData.collectionName)}`,
+				...(provisioningData.shardKeyName ? [`-Shard ${toPowerShellString(provisioningData.shardKeyName)}`] : []),
+				'-Index $indexes',
+				...getPowerShellThroughputArgs(provisioningData.collectionThroughput),
+			], '`'),
+		].join('\n'),
+	].join('\n\n') + '\n';
+};
+
+module.exports = {
+	getAzureCliScript,
+	getPowerShellScript,
+};
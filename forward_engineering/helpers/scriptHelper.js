@@ -1,3 +1,9 @@
+const jsonSchemaHelper = require('./jsonSchemaHelper');
+const versionHelper = require('./versionHelper');
+const shellDialectHelper = require('./shellDialectHelper');
+
+const VALIDATION_OPTION = 'INCLUDE_VALIDATION';
+
 
 const isObjectEmpty = obj => Object.keys(obj).length === 0;
 
@@ -9,155 +15,540 @@ const createIndexStatement = (...args) => {
 
 const stringify = (data) => JSON.stringify(data, null, 2);
 
+const commentOut = (text) => '/*\n' + text.replace(/\*\//g, '*\\/') + '\n*/';
+
+const INDEX_OPTIONS = ['sparse', 'background', 'default_language', 'language_override', 'bits', 'min', 'max', '2dsphereIndexVersion'];
+const JSON_INDEX_OPTIONS = ['partialFilterExpression', 'collation', 'weights'];
+const VECTOR_INDEX_KEY_TYPE = 'cosmosSearch';
+const WILDCARD_KEY = '$**';
+const VECTOR_INDEX_OPTIONS = ['dimensions', 'similarity', 'numLists', 'm', 'efConstruction', 'maxDegree', 'lBuild'];
+const DEFAULT_VECTOR_INDEX_KIND = 'vector-hnsw';
+
 const getIndexType = (indexType) => {
 	return ({
 		'descending': -1,
 		'ascending': 1,
 		'2dsphere': '2dsphere',
+		'2d': '2d',
+		'text': 'text',
 	})[indexType] || 1;
 };
 
-const createIndex = (index) => {
-	let indexKeys = index?.indexKey;
+const isEmptyOption = (value) => value === undefined || value === '' || value === false || value === null;
 
-	if (!Array.isArray(indexKeys)) {
-		return '';
+const parseJsonOption = (index, option) => {
+	try {
+		return JSON.parse(index[option]);
+	} catch (e) {
+		throw new Error(`Index "${index.name}": ${option} is not a valid JSON document. ${e.message}`);
+	}
+};
+
+const getIndexOptions = (index) => {
+	const jsonOptions = [
+		...JSON_INDEX_OPTIONS,
+		...(index.indexType === 'Wildcard' ? ['wildcardProjection'] : []),
+	];
+
+	return {
+		name: index.name,
+		...INDEX_OPTIONS.filter(option => !isEmptyOption(index[option])).reduce((options, option) => ({
+			...options,
+			[option]: index[option],
+		}), {}),
+		...jsonOptions.filter(option => typeof index[option] === 'string' && index[option].trim()).reduce((options, option) => ({
+			...options,
+			[option]: parseJsonOption(index, option),
+		}), {}),
+	};
+};
+
+const getVectorIndexKind = (index) => index.vectorIndexKind || DEFAULT_VECTOR_INDEX_KIND;
+
+const getCosmosSearchOptions = (index) => {
+	return {
+		kind: getVectorIndexKind(index),
+		...VECTOR_INDEX_OPTIONS.filter(option => !isEmptyOption(index[option])).reduce((options, option) => ({
+			...options,
+			[option]: index[option],
+		}), {}),
+	};
+};
+
+const getVectorIndexComments = (index, modelData) => {
+	const kind = getVectorIndexKind(index);
+
+	if (versionHelper.supportsVectorIndexKind(modelData, kind)) {
+		return [];
+	}
+
+	return [`// ${versionHelper.getTargetName(modelData)} does not support ${kind} indexes, the index "${index.name}" may be rejected.`];
+};
+
+const getIndexComments = (index, modelData) => {
+	if (index.indexType === 'Vector') {
+		return getVectorIndexComments(index, modelData);
 	}
 
-	indexKeys = indexKeys.filter(index => index.name);
+	if (index.indexType !== 'Wildcard' || versionHelper.supportsWildcardIndexes(modelData)) {
+		return [];
+	}
+
+	return [`// ${versionHelper.getTargetName(modelData)} does not support wildcard indexes, the index "${index.name}" may be rejected.`];
+};
+
+const getWildcardKeyName = (name) => {
+	return name === WILDCARD_KEY || name.endsWith(`.${WILDCARD_KEY}`) ? name : `${name}.${WILDCARD_KEY}`;
+};
+
+const getIndexKeys = (index) => {
+	const indexKeys = (Array.isArray(index?.indexKey) ? index.indexKey : []).filter(indexKey => indexKey.name);
+
+	if (index?.indexType !== 'Wildcard') {
+		return indexKeys;
+	}
 
 	if (indexKeys.length === 0) {
-		return '';
+		return [{ name: WILDCARD_KEY }];
 	}
 
-	return createIndexStatement(
-		indexKeys.reduce((result, indexKey) => ({
+	return indexKeys.map(indexKey => ({ ...indexKey, name: getWildcardKeyName(indexKey.name) }));
+};
+
+const getIndexDefinition = (index, modelData) => {
+	const indexKeys = getIndexKeys(index);
+
+	if (indexKeys.length === 0) {
+		return;
+	}
+
+	if (index.indexType === 'Vector') {
+		return {
+			key: { [indexKeys[0].name]: VECTOR_INDEX_KEY_TYPE },
+			options: {
+				name: index.name,
+				cosmosSearchOptions: getCosmosSearchOptions(index),
+			},
+			comments: getIndexComments(index, modelData),
+		};
+	}
+
+	return {
+		key: indexKeys.reduce((result, indexKey) => ({
 			...result,
 			[indexKey.name]: getIndexType(indexKey.type),
 		}), {}),
-		{
-			name: index.name,
-		}
-	);
+		options: getIndexOptions(index),
+		comments: getIndexComments(index, modelData),
+	};
 };
 
-const createTtlIndex = (containerData = {}) => {
-	if (containerData.TTL === 'Off' || !containerData.TTL) {
-		return '';
+const DEFAULT_TTL_KEY = '_ts';
+
+const isTtlEnabled = (containerData = {}) => Boolean(containerData.TTL) && containerData.TTL !== 'Off';
+
+const getTtlKey = (containerData, modelData) => {
+	return containerData.TTLkey?.[0]?.name || (versionHelper.isVCore(modelData) ? undefined : DEFAULT_TTL_KEY);
+};
+
+const getTtlComments = ({ key, expireAfterSeconds, modelData }) => {
+	const comments = [];
+
+	if (expireAfterSeconds === -1) {
+		comments.push('// TTL is on without a default: a document expires only when it has a numeric "ttl" field with its time to live in seconds, e.g. { "ttl": 3600 }.');
+	}
+	if (key !== DEFAULT_TTL_KEY && !versionHelper.supportsCustomTtlKey(modelData)) {
+		comments.push(`// ${versionHelper.getTargetName(modelData)} only supports TTL indexes on "${DEFAULT_TTL_KEY}", the index on "${key}" may be rejected.`);
 	}
 
-	return createIndexStatement({
-		_ts: 1,
-	}, filterObject({
-		name: 'ttl',
-		expireAfterSeconds: containerData.TTL === 'On (no default)'
-			? -1
-			: containerData.TTLseconds,
-	}));
+	return comments;
+};
+
+const getTtlIndexDefinition = (containerData = {}, modelData) => {
+	const key = getTtlKey(containerData, modelData);
+
+	if (!isTtlEnabled(containerData) || !key) {
+		return;
+	}
+
+	const expireAfterSeconds = containerData.TTL === 'On (no default)'
+		? -1
+		: containerData.TTLseconds;
+
+	return {
+		key: {
+			[key]: 1,
+		},
+		options: filterObject({
+			name: 'ttl',
+			expireAfterSeconds,
+		}),
+		comments: getTtlComments({ key, expireAfterSeconds, modelData }),
+	};
 };
 
-const createUniqueIndex = (uniqueKeys, shardKey) => {
+const getUniqueIndexDefinition = (uniqueKeys, shardKeyFields, modelData) => {
 	if (!Array.isArray(uniqueKeys)) {
-		return '';
+		return;
 	}
 
 	uniqueKeys = uniqueKeys.filter(index => index.name);
 
 	if (uniqueKeys.length === 0) {
-		return '';
+		return;
+	}
+
+	const uniqueKeyNames = uniqueKeys.map(indexKey => indexKey.name);
+	const missingShardKeyFields = shardKeyFields.filter(name => !uniqueKeyNames.includes(name));
+	const comments = [];
+
+	if (missingShardKeyFields.length > 0) {
+		comments.push(`// Unique key (${uniqueKeyNames.join(', ')}) does not include the shard key field(s) ${formatFieldNames(missingShardKeyFields)}, they are added to the unique index.`);
+	}
+	if (!versionHelper.supportsUniqueIndexOnNonEmptyCollection(modelData)) {
+		comments.push(`// ${versionHelper.getTargetName(modelData)} can only create unique indexes while the collection is empty.`);
 	}
 
-	return createIndexStatement(
-		uniqueKeys.reduce((result, indexKey) => ({
+	return {
+		key: [...missingShardKeyFields, ...uniqueKeyNames].reduce((result, name) => ({
 			...result,
-			[indexKey.name]: 1,
-		}), shardKey ? {
-			[shardKey]: 1,
-		} : {}),
-		{
+			[name]: 1,
+		}), {}),
+		options: {
 			unique: true,
+		},
+		comments,
+	};
+};
+
+const formatFieldNames = (names) => names.map(name => `"${name}"`).join(', ');
+
+const getModeledShardKeyFields = (containerData = {}) => {
+	return (containerData.shardKey || []).filter(key => key?.name).map(key => ({
+		name: key.name,
+		type: key.type === 'ascending' ? 'ascending' : 'hashed',
+	}));
+};
+
+const getShardKey = ({ containerData, modelData }) => {
+	const fields = getModeledShardKeyFields(containerData[0]);
+	const rules = versionHelper.getShardKeyRules(modelData);
+	const targetName = versionHelper.getTargetName(modelData);
+	const warnings = [];
+	let supportedFields = fields;
+
+	if (fields.length > rules.maxFields) {
+		supportedFields = fields.slice(0, rules.maxFields);
+		warnings.push(`// ${targetName} does not support compound shard keys, only ${formatFieldNames(supportedFields.map(field => field.name))} is used as the shard key.`);
+	}
+
+	supportedFields = supportedFields.map(field => {
+		if (rules.types.includes(field.type)) {
+			return field;
 		}
-	);
+
+		warnings.push(`// ${targetName} does not support ${field.type} shard keys, "${field.name}" is hashed instead.`);
+
+		return { ...field, type: 'hashed' };
+	});
+
+	return { fields: supportedFields, warnings };
 };
 
-const getContainerName = (containerData) => {
-	return containerData[0]?.code || containerData[0]?.name;
+const isHashedSingleFieldShardKey = (shardKey) => {
+	return shardKey.fields.length === 1 && shardKey.fields[0].type === 'hashed';
 };
 
-const getCollection = (name) => {
-	return `db.getCollection("${name}")`;
+const getContainerName = (containerData) => {
+	return containerData[0]?.code || containerData[0]?.name;
 };
 
-const getIndexes = (containerData) => {
+const getIndexDefinitions = (containerData, modelData) => {
 	const indexes = containerData[1]?.indexes || [];
 	const uniqueIndexes = containerData[0]?.uniqueKey || [];
-	const shardKey = containerData[0]?.shardKey?.[0]?.name;
+	const shardKeyFields = getShardKey({ containerData, modelData }).fields.map(field => field.name);
+
+	return [
+		...uniqueIndexes.map(uniqueKey => getUniqueIndexDefinition(uniqueKey.attributePath, shardKeyFields, modelData)),
+		...indexes.filter(index => index.isActivated !== false).map(index => getIndexDefinition(index, modelData)),
+		getTtlIndexDefinition(containerData[0], modelData),
+	].filter(Boolean);
+};
+
+const createIndex = ({ key, options }) => {
+	return createIndexStatement(key, options);
+};
+
+const isVectorIndexDefinition = ({ key }) => Object.values(key).includes(VECTOR_INDEX_KEY_TYPE);
+
+const createVectorIndex = (containerData, { key, options }, dialect) => {
+	const { name, ...indexOptions } = options;
 
+	return dialect.runCommand(stringify({
+		createIndexes: getContainerName(containerData),
+		indexes: [{ name, key, ...indexOptions }],
+	}));
+};
+
+const getIndexScript = (containerData, definition, dialect = shellDialectHelper.getDialect()) => {
 	return [
-		...uniqueIndexes.map(uniqueKey => createUniqueIndex(uniqueKey.attributePath, shardKey)),
-		...indexes.filter(index => index.isActivated !== false).map(createIndex),
-		createTtlIndex(containerData[0]),
-	].filter(Boolean).map(index => getCollection(getContainerName(containerData)) + '.' + index).join('\n\n');
+		...(definition.comments || []),
+		isVectorIndexDefinition(definition)
+			? createVectorIndex(containerData, definition, dialect)
+			: dialect.collectionStatement(getContainerName(containerData), createIndex(definition)),
+	].join('\n');
+};
+
+const getIndexes = (containerData, modelData, dialect) => {
+	return getIndexDefinitions(containerData, modelData)
+		.map(definition => getIndexScript(containerData, definition, dialect))
+		.join('\n\n');
+};
+
+const getThroughputSettings = (containerData = {}) => {
+	const throughput = Number(containerData.throughput);
+
+	if (!throughput) {
+		return {};
+	}
+
+	if (containerData.autopilot) {
+		return {
+			autoScaleSettings: {
+				maxThroughput: throughput,
+			},
+		};
+	}
+
+	return {
+		offerThroughput: throughput,
+	};
+};
+
+const isCreatedByCustomAction = ({ containerData }, shardKey) => {
+	const throughputSettings = getThroughputSettings(containerData[0]);
+
+	return !isObjectEmpty(throughputSettings) && (shardKey.fields.length === 0 || isHashedSingleFieldShardKey(shardKey));
+};
+
+const createCollection = (data, shardKey, dialect) => {
+	const { containerData } = data;
+	const throughputSettings = getThroughputSettings(containerData[0]);
+
+	if (isObjectEmpty(throughputSettings)) {
+		return '';
+	}
+
+	const createdByCustomAction = isCreatedByCustomAction(data, shardKey);
+
+	return dialect.runCommand(stringify(filterObject({
+		customAction: createdByCustomAction ? 'CreateCollection' : 'UpdateCollection',
+		collection: getContainerName(containerData),
+		shardKey: createdByCustomAction ? shardKey.fields[0]?.name : undefined,
+		...throughputSettings,
+	})));
+};
+
+const getDatabase = ({ containerData, modelData }) => {
+	const dbId = getDbId(containerData);
+	const databases = modelData?.[0]?.databases || [];
+
+	return databases.find(database => dbId && database.databaseId === dbId);
 };
 
-const createShardKey = ({ containerData }) => {
-	const shardKey = containerData[0]?.shardKey?.[0]?.name;
+const createDatabase = (data, dialect) => {
+	const throughputSettings = getThroughputSettings(getDatabase(data));
 
-	if (!shardKey) {
+	if (isObjectEmpty(throughputSettings)) {
+		return '';
+	}
+
+	return dialect.runCommand(stringify({
+		customAction: 'CreateDatabase',
+		...throughputSettings,
+	}));
+};
+
+const formatShardKeyFields = (shardKey) => {
+	return shardKey.fields.map(field => `"${field.name}": ${field.type === 'hashed' ? '"hashed"' : 1}`).join(', ');
+};
+
+const createShardKey = ({ containerData }, shardKey, dialect) => {
+	if (shardKey.fields.length === 0) {
 		return '';
 	}
 
 	const dbId = getDbId(containerData);
 	const name = getContainerName(containerData);
+	const key = formatShardKeyFields(shardKey);
 
-	return `use admin;\ndb.runCommand({ shardCollection: "${dbId}.${name}", key: { "${shardKey}": "hashed" }});`
+	return dialect.runAdminCommand(`{ shardCollection: "${dbId}.${name}", key: { ${key} }}`);
+};
+
+const createClusterShardKey = ({ containerData }, shardKey, dialect) => {
+	if (shardKey.fields.length === 0) {
+		return '';
+	}
+
+	const dbId = getDbId(containerData);
+	const name = getContainerName(containerData);
+	const key = formatShardKeyFields(shardKey);
+
+	return dialect.shardCollection(`${dbId}.${name}`, `{ ${key} }`);
+};
+
+const getThroughputWarnings = (data) => {
+	const name = getContainerName(data.containerData);
+	const warnings = [];
+
+	if (!isObjectEmpty(getThroughputSettings(getDatabase(data)))) {
+		warnings.push(`// ${versionHelper.getTargetName(data.modelData)} has no request units, the shared throughput of database "${getDbId(data.containerData)}" is ignored.`);
+	}
+	if (!isObjectEmpty(getThroughputSettings(data.containerData[0]))) {
+		warnings.push(`// ${versionHelper.getTargetName(data.modelData)} has no request units, the throughput of collection "${name}" is ignored.`);
+	}
+
+	return warnings;
+};
+
+const getTtlWarnings = ({ containerData, modelData }) => {
+	if (!isTtlEnabled(containerData[0]) || getTtlKey(containerData[0], modelData)) {
+		return [];
+	}
+
+	return [`// ${versionHelper.getTargetName(modelData)} has no "${DEFAULT_TTL_KEY}" field, the TTL index of collection "${getContainerName(containerData)}" is skipped. Set a TTL key to create it.`];
+};
+
+const isOptionEnabled = (data, optionId) => {
+	return Boolean((data.options?.additionalOptions || []).find(option => option.id === optionId)?.value);
+};
+
+const createValidator = (data, { collectionExists }, dialect) => {
+	const name = getContainerName(data.containerData);
+	const validator = jsonSchemaHelper.getValidator(data);
+
+	if (!validator) {
+		return '';
+	}
+
+	return dialect.runCommand(stringify(collectionExists
+		? { collMod: name, validator }
+		: { create: name, validator }
+	));
+};
+
+const createStandaloneJsonSchema = (data) => {
+	const schemas = jsonSchemaHelper.getStandaloneJsonSchemas(data);
+
+	if (schemas.length === 0) {
+		return '';
+	}
+
+	const name = getContainerName(data.containerData);
+
+	return [
+		`// ${versionHelper.getTargetName(data.modelData)} does not enforce $jsonSchema validators.`,
+		`// JSON Schema of collection "${name}":`,
+		...schemas.map(schema => commentOut(stringify(schema))),
+	].join('\n');
+};
+
+const getValidation = (data, { collectionExists }, dialect) => {
+	if (!isOptionEnabled(data, VALIDATION_OPTION)) {
+		return { validator: '', jsonSchema: '' };
+	}
+
+	if (versionHelper.supportsSchemaValidation(data.modelData)) {
+		return { validator: createValidator(data, { collectionExists }, dialect), jsonSchema: '' };
+	}
+
+	return { validator: '', jsonSchema: createStandaloneJsonSchema(data) };
 };
 
 const getDbId = (data) => {
 	return data[0]?.dbId;
 };
 
-const getScript = (data) => {
+const getClusterScript = (data, dialect) => {
+	const name = getDbId(data.containerData);
+	const useDb = name ? dialect.useDb(name) : '';
+	const indexes = getIndexes(data.containerData, data.modelData, dialect);
+	const shardKeyDefinition = getShardKey(data);
+	const shardKey = createClusterShardKey(data, shardKeyDefinition, dialect);
+	const { validator, jsonSchema } = getValidation(data, { collectionExists: Boolean(shardKey) }, dialect);
+
+	return [
+		[...getThroughputWarnings(data), ...getTtlWarnings(data), ...shardKeyDefinition.warnings].join('\n'),
+		shardKey,
+		useDb,
+		validator,
+		indexes,
+		jsonSchema,
+	].filter(Boolean).join('\n\n');
+};
+
+const getScript = (data, dialect = shellDialectHelper.getDialect(data)) => {
+	if (versionHelper.isVCore(data.modelData)) {
+		return getClusterScript(data, dialect);
+	}
+
 	const name = getDbId(data.containerData);
-	const useDb = name ? `use ${name};` : '';
-	const indexes = getIndexes(data.containerData);
+	const useDb = name ? dialect.useDb(name) : '';
+	const indexes = getIndexes(data.containerData, data.modelData, dialect);
+	const database = createDatabase(data, dialect);
+	const shardKeyDefinition = getShardKey(data);
+	const collection = createCollection(data, shardKeyDefinition, dialect);
+	const shardKey = isCreatedByCustomAction(data, shardKeyDefinition) ? '' : createShardKey(data, shardKeyDefinition, dialect);
+	const { validator, jsonSchema } = getValidation(data, { collectionExists: Boolean(collection || shardKey) }, dialect);
 
-	return [createShardKey(data), useDb, indexes].filter(Boolean).join('\n\n');
+	return [
+		shardKeyDefinition.warnings.join('\n'),
+		database && useDb,
+		database,
+		shardKey,
+		(shardKey || !database) && useDb,
+		collection,
+		validator,
+		indexes,
+		jsonSchema,
+	].filter(Boolean).join('\n\n');
 };
 
-const updateSample = (sample, containerData, entityData) => {		
+const updateSample = (sample, containerData, entityData, dialect) => {		
 	const docType = containerData?.docTypeName;
 
-	if (!docType) {
+	if (!docType && dialect.keepsSampleTypes) {
 		return sample;
 	}
 
 	let data = JSON.parse(encodedExtendedTypes(sample));
 
-	return decodedExtendedTypes(JSON.stringify({
+	return decodedExtendedTypes(JSON.stringify(docType ? {
 		...data,
 		[docType]: entityData.code || entityData.collectionName,
-	}, null, 2));
+	} : data, null, 2), dialect.types);
 };
 
-const insertSample = ({ containerData, entityData, sample }) => {
-	return getCollection(getContainerName(containerData)) + `.insert(${updateSample(sample, containerData[0], entityData?.[0] || {})});`;
+const insertSample = ({ containerData, entityData, sample, dialect = shellDialectHelper.getDialect() }) => {
+	return dialect.insert(getContainerName(containerData), updateSample(sample, containerData[0], entityData?.[0] || {}, dialect));
 };
 
 const insertSamples = (data) => {
+	const dialect = shellDialectHelper.getDialect(data);
 	const name = getDbId(data.containerData);
-	const useDb = name ? `use ${name};` : '';
+	const useDb = name ? dialect.useDb(name) : '';
 	const samples = data.entities.map(entityId => insertSample({
 		containerData: data.containerData,
 		entityData: (data.entityData[entityId] || []),
 		sample: data.jsonData[entityId],
+		dialect,
 	})).join('\n\n');
 
 	return [useDb, samples].filter(Boolean).join('\n\n');
 };
 
 
-function decodedExtendedTypes(data, returnInStr) {
+function decodedExtendedTypes(data, types) {
 	let decodedData;
 	let strData = data;
 	let lineBeginning = '';
@@ -165,31 +556,31 @@ function decodedExtendedTypes(data, returnInStr) {
 
 	decodedData = strData
 		.replace(/\"\$__oid_(.*?)\"/gi, function (a, b) {
-			return lineBeginning + 'ObjectId("' + b + '")' + lineEnding;
+			return lineBeginning + types.objectId(b) + lineEnding;
 		})
 		.replace(/\"\$__date_(.*?)\"/gi, function (a, b) {
-			return lineBeginning + 'ISODate("' + b + '")' + lineEnding;
+			return lineBeginning + types.date(b) + lineEnding;
 		})
 		.replace(/\"(?:CURRENT_)?\$__tmstmp_(.*?)\"/gi, function (a, b) {
-			return lineBeginning + 'Timestamp(' + b + ')' + lineEnding;
+			return lineBeginning + types.timestamp(b) + lineEnding;
 		})
 		.replace(/\"\$__rgxp_(.*?)\"/gi, function (a, b) {
 			return lineBeginning + b + lineEnding;
 		})
 		.replace(/\"\$__bindata_(\d*)_(.*?)\"/gi, function (a, b, c) {
-			return lineBeginning + `BinData(${b},"${c}")` + lineEnding;
+			return lineBeginning + types.binData(b, c) + lineEnding;
 		})
 		.replace(/\"\$__maxKey_(\d*)\"/gi, function (a, b) {
-			return lineBeginning + `new MaxKey(${b})` + lineEnding;
+			return lineBeginning + types.maxKey(b) + lineEnding;
 		})
 		.replace(/\"\$__minKey_(\d*)\"/gi, function (a, b) {
-			return lineBeginning + `new MinKey(${b})` + lineEnding;
+			return lineBeginning + types.minKey(b) + lineEnding;
 		})
 		.replace(/\"\$__jswscope_(.*?})\"/gi, function (a, b) {
-			return lineBeginning + `Code("${b}")` + lineEnding;
+			return lineBeginning + types.code(b) + lineEnding;
 		})
 		.replace(/\"\$__js_(.*?})\"/gi, function (a, b) {
-			return lineBeginning + `Code("${b}")` + lineEnding;
+			return lineBeginning + types.code(b) + lineEnding;
 		});
 
 	return decodedData;
@@ -251,4 +642,15 @@ module.exports = {
 	getScript,
 	insertSample,
 	insertSamples,
+	getIndexDefinitions,
+	getIndexScript,
+	getShardKey,
+	getThroughputSettings,
+	getTtlWarnings,
+	getDatabase,
+	isOptionEnabled,
+	getContainerName,
+	getDbId,
+	createIndex,
+	stringify,
 };
@@ -0,0 +1,95 @@
+const LEGACY_SHELL = 'mongodb';
+const MONGOSH = 'mongosh';
+const NODEJS_DRIVER = 'nodejs';
+
+const getTimestampParts = (value) => {
+	const parts = String(value).split(',').map(part => part.trim());
+
+	return parts.length === 2 && parts.every(part => /^\d+$/.test(part)) ? { t: parts[0], i: parts[1] } : null;
+};
+
+const legacyShellTypes = {
+	objectId: (value) => `ObjectId("${value}")`,
+	date: (value) => `ISODate("${value}")`,
+	timestamp: (value) => `Timestamp(${value})`,
+	binData: (subType, value) => `BinData(${subType},"${value}")`,
+	maxKey: (value) => `new MaxKey(${value})`,
+	minKey: (value) => `new MinKey(${value})`,
+	code: (value) => `Code("${value}")`,
+};
+
+const legacyShell = {
+	keyword: LEGACY_SHELL,
+	keepsSampleTypes: true,
+	types: legacyShellTypes,
+	useDb: (name) => `use ${name};`,
+	runCommand: (command) => `db.runCommand(${command});`,
+	runAdminCommand: (command) => `use admin;\ndb.runCommand(${command});`,
+	shardCollection: (namespace, key) => `sh.shardCollection("${namespace}", ${key});`,
+	collectionStatement: (name, statement) => `db.getCollection("${name}").${statement}`,
+	insert: (name, document) => `db.getCollection("${name}").insert(${document});`,
+	wrapScript: (script) => script,
+};
+
+const mongosh = {
+	...legacyShell,
+	keyword: MONGOSH,
+	keepsSampleTypes: false,
+	types: {
+		...legacyShellTypes,
+		timestamp: (value) => {
+			const parts = getTimestampParts(value);
+
+			return parts ? `Timestamp({ t: ${parts.t}, i: ${parts.i} })` : `Timestamp(${value})`;
+		},
+		maxKey: () => 'MaxKey()',
+		minKey: () => 'MinKey()',
+	},
+	insert: (name, document) => `db.getCollection("${name}").insertOne(${document});`,
+};
+
+const NODEJS_IMPORTS = ['MongoClient', 'ObjectId', 'Timestamp', 'Binary', 'MinKey', 'MaxKey', 'Code'];
+
+const indent = (script) => script.split('\n').map(line => line ? '\t' + line : line).join('\n');
+
+const nodejsDriver = {
+	keyword: NODEJS_DRIVER,
+	keepsSampleTypes: false,
+	types: {
+		objectId: (value) => `new ObjectId("${value}")`,
+		date: (value) => `new Date("${value}")`,
+		timestamp: (value) => {
+			const parts = getTimestampParts(value);
+
+			return parts ? `new Timestamp({ t: ${parts.t}, i: ${parts.i} })` : `new Timestamp(${value})`;
+		},
+		binData: (subType, value) => `new Binary(Buffer.from("${value}", "base64"), ${subType})`,
+		maxKey: () => 'new MaxKey()',
+		minKey: () => 'new MinKey()',
+		code: (value) => `new Code("${value}")`,
+	},
+	useDb: (name) => `db = client.db("${name}");`,
+	runCommand: (command) => `await db.command(${command});`,
+	runAdminCommand: (command) => `await client.db("admin").command(${command});`,
+	shardCollection: (namespace, key) => `await client.db("admin").command({ shardCollection: "${namespace}", key: ${key} });`,
+	collectionStatement: (name, statement) => `await db.collection("${name}").${statement}`,
+	insert: (name, document) => `await db.collection("${name}").insertOne(${document});`,
+	wrapScript: (script) => [
+		`const { ${NODEJS_IMPORTS.join(', ')} } = require('mongodb');`,
+		`const run = async (client) => {\n\tlet db = client.db();\n\n${indent(script)}\n};`,
+		'const client = new MongoClient(process.env.MONGODB_URI);',
+		'run(client)\n\t.catch(error => {\n\t\tconsole.error(error);\n\t\tprocess.exitCode = 1;\n\t})\n\t.finally(() => client.close());',
+	].join('\n\n') + '\n',
+};
+
+const DIALECTS = {
+	[LEGACY_SHELL]: legacyShell,
+	[MONGOSH]: mongosh,
+	[NODEJS_DRIVER]: nodejsDriver,
+};
+
+const getDialect = (data) => DIALECTS[data?.targetScriptOptions?.keyword] || legacyShell;
+
+module.exports = {
+	getDialect,
+};
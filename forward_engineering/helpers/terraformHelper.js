@@ -0,0 +1,343 @@
+const scriptHelper = require('./scriptHelper');
+const versionHelper = require('./versionHelper');
+const armTemplateHelper = require('./armTemplateHelper');
+
+const AZURERM_PROVIDER_VERSION = '~> 4.0';
+const DEFAULT_TTL_KEY = '_ts';
+const INDENT = '  ';
+
+class HclExpression {
+	constructor(code) {
+		this.code = code;
+	}
+}
+
+const hclExpression = (code) => new HclExpression(code);
+
+const attribute = (name, value) => ({ name, value });
+
+const block = (type, labels, body) => ({ type, labels, body });
+
+const comment = (text) => ({ comment: text });
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const toHclString = (value) => {
+	return '"' + String(value)
+		.replace(/\\/g, '\\\\')
+		.replace(/"/g, '\\"')
+		.replace(/\n/g, '\\n')
+		.replace(/\$\{/g, '$${')
+		.replace(/%\{/g, '%%{') + '"';
+};
+
+const toHclKey = (key) => /^[A-Za-z_][A-Za-z0-9_-]*$/.test(key) ? key : toHclString(key);
+
+const toHclValue = (value, depth) => {
+	if (value instanceof HclExpression) {
+		return value.code;
+	}
+
+	if (Array.isArray(value)) {
+		return '[' + value.map(item => toHclValue(item, depth)).join(', ') + ']';
+	}
+
+	if (value && typeof value === 'object') {
+		const entries = Object.entries(value);
+
+		if (entries.length === 0) {
+			return '{}';
+		}
+
+		return '{\n' + renderAttributes(entries.map(([key, item]) => attribute(toHclKey(key), item)), depth + 1) + '\n' + INDENT.repeat(depth) + '}';
+	}
+
+	if (typeof value === 'string') {
+		return toHclString(value);
+	}
+
+	return String(value);
+};
+
+const renderAttributes = (attributes, depth) => {
+	const width = Math.max(...attributes.map(({ name }) => name.length));
+
+	return attributes
+		.map(({ name, value }) => `${INDENT.repeat(depth)}${name.padEnd(width)} = ${toHclValue(value, depth)}`)
+		.join('\n');
+};
+
+const renderBody = (body, depth) => {
+	const items = body.filter(item => item.type || item.comment || !isEmptyValue(item.value));
+	const getKind = item => item.type ? 'block' : (item.comment ? 'comment' : 'attribute');
+	const groups = items.reduce((result, item) => {
+		const lastGroup = result[result.length - 1];
+
+		if (getKind(item) !== 'block' && lastGroup && getKind(lastGroup[0]) === getKind(item)) {
+			lastGroup.push(item);
+		} else {
+			result.push([item]);
+		}
+
+		return result;
+	}, []);
+
+	return groups.map(group => {
+		switch (getKind(group[0])) {
+			case 'block':
+				return renderBlock(group[0], depth);
+			case 'comment':
+				return group.map(item => `${INDENT.repeat(depth)}# ${item.comment}`).join('\n');
+			default:
+				return renderAttributes(group, depth);
+		}
+	}).join('\n\n');
+};
+
+const renderBlock = ({ type, labels = [], body }, depth = 0) => {
+	const header = [type, ...labels.map(toHclString)].join(' ');
+	const content = renderBody(body, depth + 1);
+
+	if (!content) {
+		return `${INDENT.repeat(depth)}${header} {}`;
+	}
+
+	return `${INDENT.repeat(depth)}${header} {\n${content}\n${INDENT.repeat(depth)}}`;
+};
+
+const toHclIdentifier = (name) => {
+	const identifier = String(name).replace(/[^A-Za-z0-9_-]/g, '_');
+
+	return /^[A-Za-z_]/.test(identifier) ? identifier : `_${identifier}`;
+};
+
+const getServerVersion = (data) => {
+	return versionHelper.getDbVersion(data.modelData).split('.').slice(0, 2).join('.');
+};
+
+const getThroughputBody = (throughputOptions) => {
+	if (throughputOptions.autoscaleSettings) {
+		return [block('autoscale_settings', [], [
+			attribute('max_throughput', throughputOptions.autoscaleSettings.maxThroughput),
+		])];
+	}
+
+	return [attribute('throughput', throughputOptions.throughput)];
+};
+
+const getBackupBlock = ({ backupPolicy }) => {
+	if (!backupPolicy) {
+		return [];
+	}
+
+	if (backupPolicy.type === 'Continuous') {
+		return [block('backup', [], [
+			attribute('type', 'Continuous'),
+			attribute('tier', backupPolicy.continuousModeProperties?.tier),
+		])];
+	}
+
+	const properties = backupPolicy.periodicModeProperties || {};
+
+	return [block('backup', [], [
+		attribute('type', 'Periodic'),
+		attribute('interval_in_minutes', properties.backupIntervalInMinutes),
+		attribute('retention_in_hours', properties.backupRetentionIntervalInHours),
+		attribute('storage_redundancy', properties.backupStorageRedundancy),
+	])];
+};
+
+const getConsistencyBlock = ({ consistencyPolicy }) => {
+	return block('consistency_policy', [], [
+		attribute('consistency_level', consistencyPolicy?.defaultConsistencyLevel || 'Session'),
+		attribute('max_interval_in_seconds', consistencyPolicy?.maxIntervalInSeconds),
+		attribute('max_staleness_prefix', consistencyPolicy?.maxStalenessPrefix),
+	]);
+};
+
+const getGeoLocationBlocks = (data) => {
+	const locations = armTemplateHelper.getLocations(data.modelData?.[0] || {});
+
+	if (locations.length === 0) {
+		return [block('geo_location', [], [
+			attribute('location', hclExpression('var.location')),
+			attribute('failover_priority', 0),
+		])];
+	}
+
+	return locations.map(location => block('geo_location', [], [
+		attribute('location', location.locationName),
+		attribute('failover_priority', location.failoverPriority),
+		attribute('zone_redundant', location.isZoneRedundant),
+	]));
+};
+
+const getCorsBlocks = ({ cors = [] }) => {
+	return cors.map(rule => block('cors_rule', [], [
+		attribute('allowed_origins', splitList(rule.allowedOrigins)),
+		attribute('allowed_methods', splitList(rule.allowedMethods)),
+		attribute('allowed_headers', splitList(rule.allowedHeaders)),
+		attribute('exposed_headers', splitList(rule.exposedHeaders)),
+		attribute('max_age_in_seconds', rule.maxAgeInSeconds),
+	]));
+};
+
+const getAccountResource = (data) => {
+	const accountProperties = armTemplateHelper.getAccountProperties(data);
+	const tags = armTemplateHelper.getTags(data.modelData?.[0] || {});
+	const publicNetworkAccess = accountProperties.publicNetworkAccess;
+
+	return block('resource', ['azurerm_cosmosdb_account', 'account'], [
+		attribute('name', hclExpression('var.account_name')),
+		attribute('location', hclExpression('var.location')),
+		attribute('resource_group_name', hclExpression('var.resource_group_name')),
+		attribute('offer_type', 'Standard'),
+		attribute('kind', 'MongoDB'),
+		attribute('mongo_server_version', getServerVersion(data)),
+		attribute('automatic_failover_enabled', accountProperties.enableAutomaticFailover),
+		attribute('multiple_write_locations_enabled', accountProperties.enableMultipleWriteLocations),
+		attribute('public_network_access_enabled', publicNetworkAccess ? publicNetworkAccess === 'Enabled' : undefined),
+		attribute('is_virtual_network_filter_enabled', accountProperties.isVirtualNetworkFilterEnabled),
+		attribute('ip_range_filter', (accountProperties.ipRules || []).map(rule => rule.ipAddressOrRange)),
+		attribute('analytical_storage_enabled', accountProperties.enableAnalyticalStorage),
+		attribute('access_key_metadata_writes_enabled', accountProperties.disableKeyBasedMetadataWriteAccess === undefined
+			? undefined
+			: !accountProperties.disableKeyBasedMetadataWriteAccess),
+		attribute('local_authentication_disabled', accountProperties.disableLocalAuth),
+		attribute('tags', Object.keys(tags).length ? tags : undefined),
+		getConsistencyBlock(accountProperties),
+		...(accountProperties.capabilities || []).map(capability => block('capabilities', [], [attribute('name', capability.name)])),
+		...getGeoLocationBlocks(data),
+		...(accountProperties.virtualNetworkRules || []).map(rule => block('virtual_network_rule', [], [
+			attribute('id', rule.id),
+			attribute('ignore_missing_vnet_service_endpoint', rule.ignoreMissingVNetServiceEndpoint),
+		])),
+		...getBackupBlock(accountProperties),
+		...getCorsBlocks(accountProperties),
+		...(accountProperties.analyticalStorageConfiguration
+			? [block('analytical_storage', [], [attribute('schema_type', accountProperties.analyticalStorageConfiguration.schemaType)])]
+			: []),
+	]);
+};
+
+const getDatabaseResource = (data, databaseResourceName) => {
+	const throughputOptions = armTemplateHelper.getThroughputOptions(
+		scriptHelper.getThroughputSettings(scriptHelper.getDatabase(data)),
+		data.modelData?.[0] || {},
+	);
+
+	return block('resource', ['azurerm_cosmosdb_mongo_database', databaseResourceName], [
+		attribute('name', scriptHelper.getDbId(data.containerData)),
+		attribute('resource_group_name', hclExpression('azurerm_cosmosdb_account.account.resource_group_name')),
+		attribute('account_name', hclExpression('azurerm_cosmosdb_account.account.name')),
+		...getThroughputBody(throughputOptions),
+	]);
+};
+
+const isTtlIndex = (definition) => definition.options.expireAfterSeconds !== undefined;
+
+const getTtlBody = (data) => {
+	const ttlIndex = scriptHelper.getIndexDefinitions(data.containerData, data.modelData).find(isTtlIndex);
+
+	if (!ttlIndex) {
+		return [];
+	}
+
+	const key = Object.keys(ttlIndex.key)[0];
+
+	if (key !== DEFAULT_TTL_KEY) {
+		return [comment(`TTL on "${key}" cannot be set by azurerm_cosmosdb_mongo_collection, create its TTL index with the MongoDB script.`)];
+	}
+
+	return [attribute('default_ttl_seconds', ttlIndex.options.expireAfterSeconds)];
+};
+
+const isIdIndex = (index) => index.key.keys.length === 1 && index.key.keys[0] === '_id';
+
+const getIndexBlocks = (data) => {
+	return armTemplateHelper.getCollectionIndexes(data).indexes
+		.filter(index => index.options?.expireAfterSeconds === undefined)
+		.map(index => block('index', [], [
+			attribute('keys', index.key.keys),
+			attribute('unique', isIdIndex(index) || index.options?.unique),
+		]));
+};
+
+const getCollectionResource = (data, databaseResourceName) => {
+	const containerData = data.containerData[0] || {};
+	const shardKeyField = armTemplateHelper.getShardKeyField(data);
+	const indexWarnings = armTemplateHelper.getCollectionIndexes(data).warnings;
+	const throughputOptions = armTemplateHelper.getThroughputOptions(
+		scriptHelper.getThroughputSettings(containerData),
+		data.modelData?.[0] || {},
+	);
+	const collectionName = scriptHelper.getContainerName(data.containerData);
+
+	return block('resource', ['azurerm_cosmosdb_mongo_collection', toHclIdentifier(collectionName)], [
+		...[...shardKeyField.warnings, ...indexWarnings].map(warning => comment(warning)),
+		attribute('name', collectionName),
+		attribute('resource_group_name', hclExpression('azurerm_cosmosdb_account.account.resource_group_name')),
+		attribute('account_name', hclExpression('azurerm_cosmosdb_account.account.name')),
+		attribute('database_name', hclExpression(`azurerm_cosmosdb_mongo_database.${databaseResourceName}.name`)),
+		attribute('shard_key', shardKeyField.name),
+		...getTtlBody(data),
+		...getThroughputBody(throughputOptions),
+		...getIndexBlocks(data),
+	]);
+};
+
+const getVariable = (name, description, defaultValue) => {
+	return block('variable', [name], [
+		attribute('description', description),
+		attribute('type', hclExpression('string')),
+		attribute('default', defaultValue),
+	]);
+};
+
+const getProvider = () => {
+	return block('provider', ['azurerm'], [
+		block('features', [], []),
+		attribute('subscription_id', hclExpression('var.subscription_id')),
+	]);
+};
+
+const getDefaultLocation = (modelProperties) => {
+	if (modelProperties.preferredLocation) {
+		return modelProperties.preferredLocation;
+	}
+
+	const [writeLocation] = armTemplateHelper.getLocations(modelProperties)
+		.sort((location, otherLocation) => location.failoverPriority - otherLocation.failoverPriority);
+
+	return writeLocation?.locationName;
+};
+
+const getTerraformConfiguration = (data) => {
+	armTemplateHelper.assertRuBasedAccount(data, 'Terraform configurations are');
+	armTemplateHelper.assertDatabaseId(data);
+
+	const modelProperties = data.modelData?.[0] || {};
+	const databaseResourceName = toHclIdentifier(scriptHelper.getDbId(data.containerData));
+
+	return [
+		block('terraform', [], [
+			block('required_providers', [], [
+				attribute('azurerm', { source: 'hashicorp/azurerm', version: AZURERM_PROVIDER_VERSION }),
+			]),
+		]),
+		getProvider(),
+		getVariable('subscription_id', 'Azure subscription of the Cosmos DB account', modelProperties.subscription),
+		getVariable('account_name', 'Name of the Cosmos DB account', armTemplateHelper.getAccountName(data)),
+		getVariable('resource_group_name', 'Resource group of the Cosmos DB account', modelProperties.resGrp),
+		getVariable('location', 'Location of the Cosmos DB account', getDefaultLocation(modelProperties)),
+		getAccountResource(data),
+		getDatabaseResource(data, databaseResourceName),
+		getCollectionResource(data, databaseResourceName),
+	].map(item => renderBlock(item)).join('\n\n') + '\n';
+};
+
+module.exports = {
+	getTerraformConfiguration,
+};
@@ -0,0 +1,170 @@
+const collectionInfoHelper = require('../../reverse_engineering/helpers/collectionInfoHelper');
+const scriptHelper = require('./scriptHelper');
+const shellDialectHelper = require('./shellDialectHelper');
+const versionHelper = require('./versionHelper');
+
+const isDefaultIndex = (index) => {
+	return index.name === '_id_' || Object.keys(index.key).includes('DocumentDBDefaultIndex');
+};
+
+const COMPARED_INDEX_OPTIONS = ['sparse', 'partialFilterExpression', 'wildcardProjection', 'collation', 'weights', 'default_language', 'language_override', 'bits', 'min', 'max', 'cosmosSearchOptions'];
+const RESTRICTING_INDEX_OPTIONS = ['sparse', 'partialFilterExpression', 'wildcardProjection'];
+
+const isSubset = (value, instanceValue) => {
+	if (!value || typeof value !== 'object') {
+		return value === instanceValue;
+	}
+
+	return Boolean(instanceValue) && typeof instanceValue === 'object'
+		&& Object.keys(value).every(key => isSubset(value[key], instanceValue[key]));
+};
+
+const hasSameOptions = (definition, index) => {
+	return COMPARED_INDEX_OPTIONS.every(option => {
+		if (definition.options[option] === undefined) {
+			return !RESTRICTING_INDEX_OPTIONS.includes(option) || !index[option];
+		}
+
+		return isSubset(definition.options[option], index[option]);
+	});
+};
+
+const isSameIndex = (definition, index) => {
+	return JSON.stringify(definition.key) === JSON.stringify(collectionInfoHelper.getNormalizedIndexKey(index))
+		&& Boolean(definition.options.unique) === Boolean(index.unique)
+		&& definition.options.expireAfterSeconds === index.expireAfterSeconds
+		&& hasSameOptions(definition, index);
+};
+
+const getInstanceState = async (connection, containerData, { isVCore = false } = {}) => {
+	const dbName = scriptHelper.getDbId(containerData);
+	const db = connection.db(dbName);
+	const collectionName = scriptHelper.getContainerName(containerData);
+	const collections = await db.listCollections({ name: collectionName }, { nameOnly: true }).toArray();
+
+	if (collections.length === 0) {
+		return { exists: false, isVCore };
+	}
+
+	const [collectionInfo, indexes] = await Promise.all([
+		isVCore
+			? collectionInfoHelper.getClusterCollectionInfo(connection, dbName, collectionName)
+			: collectionInfoHelper.getCollectionInfo(db, collectionName),
+		collectionInfoHelper.listIndexes(db, collectionName),
+	]);
+
+	return {
+		exists: true,
+		isVCore,
+		shardKey: collectionInfoHelper.getShardKeyDefinition(collectionInfo),
+		throughputSettings: getInstanceThroughputSettings(collectionInfo),
+		indexes: indexes.filter(index => !isDefaultIndex(index)),
+	};
+};
+
+const getInstanceThroughputSettings = (collectionInfo) => {
+	const maxThroughput = collectionInfo?.autoScaleSettings?.maxThroughput;
+
+	if (maxThroughput) {
+		return { autoScaleSettings: { maxThroughput } };
+	}
+
+	if (collectionInfo?.provisionedThroughput) {
+		return { offerThroughput: collectionInfo.provisionedThroughput };
+	}
+
+	return {};
+};
+
+const formatShardKey = (fields) => {
+	return '{ ' + fields.map(field => `"${field.name}": ${field.type === 'hashed' ? '"hashed"' : 1}`).join(', ') + ' }';
+};
+
+const getShardKeyWarnings = (data, instanceState) => {
+	const shardKey = scriptHelper.getShardKey(data);
+
+	if (shardKey.fields.length === 0) {
+		return [];
+	}
+
+	const modeledShardKey = formatShardKey(shardKey.fields);
+	const currentShardKey = instanceState.shardKey.length > 0 ? formatShardKey(instanceState.shardKey) : 'not defined';
+
+	if (modeledShardKey === currentShardKey) {
+		return shardKey.warnings;
+	}
+
+	return [
+		...shardKey.warnings,
+		`// Shard key of the collection is ${currentShardKey} on the instance and cannot be changed to ${modeledShardKey} without recreating the collection.`,
+	];
+};
+
+const updateThroughput = (containerData, instanceState, dialect) => {
+	const throughputSettings = scriptHelper.getThroughputSettings(containerData[0]);
+
+	if (Object.keys(throughputSettings).length === 0) {
+		return '';
+	}
+
+	if (JSON.stringify(throughputSettings) === JSON.stringify(instanceState.throughputSettings)) {
+		return '';
+	}
+
+	return dialect.runCommand(scriptHelper.stringify({
+		customAction: 'UpdateCollection',
+		collection: scriptHelper.getContainerName(containerData),
+		...throughputSettings,
+	}));
+};
+
+const getTargetData = (data, instanceState) => {
+	if (!instanceState.isVCore || versionHelper.isVCore(data.modelData)) {
+		return data;
+	}
+
+	const [modelProperties = {}, ...modelData] = data.modelData || [];
+
+	return {
+		...data,
+		modelData: [{ ...modelProperties, deploymentType: 'vCore' }, ...modelData],
+	};
+};
+
+const getUpdateScript = (modeledData, instanceState) => {
+	const data = getTargetData(modeledData, instanceState);
+	const dialect = shellDialectHelper.getDialect(data);
+
+	if (!instanceState.exists) {
+		return dialect.wrapScript(scriptHelper.getScript(data, dialect));
+	}
+
+	const { containerData } = data;
+	const collectionName = scriptHelper.getContainerName(containerData);
+	const definitions = scriptHelper.getIndexDefinitions(containerData, data.modelData);
+	const droppedIndexes = instanceState.indexes
+		.filter(index => !definitions.some(definition => isSameIndex(definition, index)))
+		.map(index => dialect.collectionStatement(collectionName, `dropIndex("${index.name}");`));
+	const createdIndexes = definitions
+		.filter(definition => !instanceState.indexes.some(index => isSameIndex(definition, index)))
+		.map(definition => scriptHelper.getIndexScript(containerData, definition, dialect));
+	const statements = [
+		...getShardKeyWarnings(data, instanceState),
+		...scriptHelper.getTtlWarnings(data),
+		...droppedIndexes,
+		...createdIndexes,
+		!instanceState.isVCore && updateThroughput(containerData, instanceState, dialect),
+	].filter(Boolean);
+
+	if (statements.length === 0) {
+		return `// Collection "${collectionName}" is up to date.`;
+	}
+
+	return dialect.wrapScript([dialect.useDb(scriptHelper.getDbId(containerData)), ...statements].join('\n\n'));
+};
+
+module.exports = {
+	isSameIndex,
+	getInstanceState,
+	getUpdateScript,
+};
@@ -0,0 +1,147 @@
+const DEFAULT_VERSION = '4.0.0';
+const VCORE_DEPLOYMENT = 'vCore';
+
+const HASHED_SHARD_KEY = {
+	maxFields: 1,
+	types: ['hashed'],
+};
+
+const SINGLE_FIELD_SHARD_KEY = {
+	maxFields: 1,
+	types: ['hashed', 'ascending'],
+};
+
+const COMPOUND_SHARD_KEY = {
+	maxFields: Infinity,
+	types: ['hashed', 'ascending'],
+};
+
+const ALL_VECTOR_INDEX_KINDS = ['vector-ivf', 'vector-hnsw', 'vector-diskann'];
+
+// Multi-document transactions have no version feature: generated scripts and Apply to Instance
+// only run single commands and unordered bulk inserts, so they never open a transaction.
+const VERSION_FEATURES = {
+	'3.2.0': {
+		schemaValidation: false,
+		wildcardIndexes: false,
+		uniqueIndexOnNonEmptyCollection: false,
+		customTtlKey: false,
+		shardKey: HASHED_SHARD_KEY,
+		vectorIndexKinds: [],
+	},
+	'3.6.0': {
+		schemaValidation: false,
+		wildcardIndexes: true,
+		uniqueIndexOnNonEmptyCollection: false,
+		customTtlKey: false,
+		shardKey: SINGLE_FIELD_SHARD_KEY,
+		vectorIndexKinds: [],
+	},
+	'4.0.0': {
+		schemaValidation: false,
+		wildcardIndexes: true,
+		uniqueIndexOnNonEmptyCollection: false,
+		customTtlKey: false,
+		shardKey: SINGLE_FIELD_SHARD_KEY,
+		vectorIndexKinds: [],
+	},
+	'4.2.0': {
+		schemaValidation: false,
+		wildcardIndexes: true,
+		uniqueIndexOnNonEmptyCollection: true,
+		customTtlKey: true,
+		shardKey: SINGLE_FIELD_SHARD_KEY,
+		vectorIndexKinds: ['vector-diskann'],
+	},
+	'5.0.0': {
+		schemaValidation: false,
+		wildcardIndexes: true,
+		uniqueIndexOnNonEmptyCollection: true,
+		customTtlKey: true,
+		shardKey: COMPOUND_SHARD_KEY,
+		vectorIndexKinds: ['vector-diskann'],
+	},
+	'6.0.0': {
+		schemaValidation: false,
+		wildcardIndexes: true,
+		uniqueIndexOnNonEmptyCollection: true,
+		customTtlKey: true,
+		shardKey: COMPOUND_SHARD_KEY,
+		vectorIndexKinds: ['vector-diskann'],
+	},
+	'7.0.0': {
+		schemaValidation: false,
+		wildcardIndexes: true,
+		uniqueIndexOnNonEmptyCollection: true,
+		customTtlKey: true,
+		shardKey: COMPOUND_SHARD_KEY,
+		vectorIndexKinds: ['vector-diskann'],
+	},
+};
+
+const VCORE_FEATURES = {
+	schemaValidation: true,
+	wildcardIndexes: true,
+	uniqueIndexOnNonEmptyCollection: true,
+	customTtlKey: true,
+	shardKey: HASHED_SHARD_KEY,
+	vectorIndexKinds: ALL_VECTOR_INDEX_KINDS,
+};
+
+const isVCore = (modelData) => {
+	return modelData?.[0]?.deploymentType === VCORE_DEPLOYMENT;
+};
+
+const getDbVersion = (modelData) => {
+	const dbVersion = modelData?.[0]?.dbVersion;
+
+	return VERSION_FEATURES[dbVersion] ? dbVersion : DEFAULT_VERSION;
+};
+
+const getTargetName = (modelData) => {
+	return isVCore(modelData) ? 'Cosmos DB for MongoDB vCore' : `Cosmos DB for MongoDB ${getDbVersion(modelData)}`;
+};
+
+const getVersionFeatures = (modelData) => {
+	if (isVCore(modelData)) {
+		return VCORE_FEATURES;
+	}
+
+	return VERSION_FEATURES[getDbVersion(modelData)];
+};
+
+const supportsSchemaValidation = (modelData) => {
+	return getVersionFeatures(modelData).schemaValidation;
+};
+
+const supportsCustomTtlKey = (modelData) => {
+	return getVersionFeatures(modelData).customTtlKey;
+};
+
+const supportsWildcardIndexes = (modelData) => {
+	return getVersionFeatures(modelData).wildcardIndexes;
+};
+
+const supportsUniqueIndexOnNonEmptyCollection = (modelData) => {
+	return getVersionFeatures(modelData).uniqueIndexOnNonEmptyCollection;
+};
+
+const getShardKeyRules = (modelData) => {
+	return getVersionFeatures(modelData).shardKey;
+};
+
+const supportsVectorIndexKind = (modelData, kind) => {
+	return getVersionFeatures(modelData).vectorIndexKinds.includes(kind);
+};
+
+module.exports = {
+	isVCore,
+	getTargetName,
+	getDbVersion,
+	supportsSchemaValidation,
+	supportsCustomTtlKey,
+	supportsWildcardIndexes,
+	supportsUniqueIndexOnNonEmptyCollection,
+	getShardKeyRules,
+	supportsVectorIndexKind,
+};
@@ -1,16 +1,39 @@
 const crypto = require('crypto');
+const https = require('https');
 const axios = require('axios');
 const qs = require('qs');
+const HttpsProxyAgent = require('https-proxy-agent');
+const { getAccountInfo } = require('./helpers/accountInfoHelper');
+
+const ARM_API_VERSION = '2024-05-15';
+
+const createHttpsAgent = (isLocal, proxy) => {
+	if (proxy?.host) {
+		return new HttpsProxyAgent({
+			host: proxy.host,
+			port: proxy.port,
+			auth: proxy.userName ? `${proxy.userName}:${proxy.password || ''}` : undefined,
+		});
+	}
+
+	if (isLocal) {
+		return new https.Agent({ rejectUnauthorized: false });
+	}
+};
 
 class CosmosClient {
-	constructor(dbName, host, masterKey, isLocal) {
+	constructor(dbName, host, masterKey, isLocal, proxy) {
 		this.host = isLocal ? `${host}:8081` : host;
 		this.masterKey = masterKey;
 		this.dbName = dbName;
+		this.httpsAgent = createHttpsAgent(isLocal, proxy);
+		this.useProxy = Boolean(proxy?.host);
+	}
 
-		if (isLocal) {
-			process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
-		}
+	getRequestConfig() {
+		return this.useProxy
+			? { httpsAgent: this.httpsAgent, proxy: false }
+			: { httpsAgent: this.httpsAgent };
 	}
 
 	getUDFS(collectionId) {
@@ -58,6 +81,7 @@ class CosmosClient {
 	callApi({ url, resourceType = '', resourceId = ''}, method = 'get') {
 		const date = new Date().toUTCString();
 		return axios({
+			...this.getRequestConfig(),
 			method,
 			url,
 			headers: {
@@ -111,10 +135,11 @@ class CosmosClient {
 			resourceGroupName,
 			host
 		} = connectionInfo;
-		const accNameRegex = /(https:\/\/)?(.+)\.documents.+/i;
+		const accNameRegex = /^(https:\/\/)?([^.]+)\.(documents|mongo\.cosmos)\./i;
 		const accountName = accNameRegex.test(host) ? accNameRegex.exec(host)[2] : '';
 		const tokenBaseURl = `https://login.microsoftonline.com/${tenantId}/oauth2/token`;
 		const { data: tokenData } = await axios({
+			...this.getRequestConfig(),
 			method: 'post',
 			url: tokenBaseURl,
 			data: qs.stringify({
@@ -127,8 +152,9 @@ class CosmosClient {
 				'Content-Type': 'application/x-www-form-urlencoded'
 			}
 		});
-		const dbAccountBaseUrl = `https://management.azure.com/subscriptions/${subscriptionId}/resourceGroups/${resourceGroupName}/providers/Microsoft.DocumentDB/databaseAccounts/${accountName}?api-version=2015-04-08`;
+		const dbAccountBaseUrl = `https://management.azure.com/subscriptions/${subscriptionId}/resourceGroups/${resourceGroupName}/providers/Microsoft.DocumentDB/databaseAccounts/${accountName}?api-version=${ARM_API_VERSION}`;
 		let { data: accountData } = await axios({
+			...this.getRequestConfig(),
 			method: 'get',
 			url: dbAccountBaseUrl,
 			headers: {
@@ -144,22 +170,7 @@ class CosmosClient {
 			tenant: tenantId,
 			resGrp: resourceGroupName,
 			subscription: subscriptionId,
-			preferredLocation: accountData.location,
-			enableMultipleWriteLocations: accountData.properties.enableMultipleWriteLocations,
-			enableAutomaticFailover: accountData.properties.enableAutomaticFailover,
-			isVirtualNetworkFilterEnabled: accountData.properties.isVirtualNetworkFilterEnabled,
-			virtualNetworkRules: accountData.properties.virtualNetworkRules.map(({ id, ignoreMissingVNetServiceEndpoint }) => ({
-				virtualNetworkId: id,
-				ignoreMissingVNetServiceEndpoint
-			})),
-			ipRangeFilter: accountData.properties.ipRangeFilter,
-			tags: Object.entries(accountData.tags).map(([tagName, tagValue]) => ({ tagName, tagValue })),
-			locations: accountData.properties.locations.map(({ id, locationName, failoverPriority, isZoneRedundant }) => ({
-				locationId: id,
-				locationName,
-				failoverPriority,
-				isZoneRedundant
-			}))
+			...getAccountInfo(accountData),
 		};
 	}
 };
@@ -1,8 +1,25 @@
 'use strict';
 
 const CosmosClient = require('./CosmosClient');
-const bson = require('bson');
 const connectionHelper = require('./helpers/connectionHelper');
+const {
+	getCollectionInfo,
+	getClusterCollectionInfo,
+	getDatabaseInfo,
+	getDatabasesInfo,
+	getShardKeyDefinition,
+	getCollectionThroughput,
+	getCollectionStats,
+	getAllTypesIndexes,
+	convertTtlIndex,
+} = require('./helpers/collectionInfoHelper');
+const { getSamplingOptions, getSampleDocuments } = require('./helpers/samplingHelper');
+const { adjustDocuments, getJsonSchema } = require('./helpers/bsonTypesHelper');
+const { retryThrottled } = require('./helpers/throttlingHelper');
+
+const TARGET_VERSIONS = require('../package.json').contributes.target.versions;
+const DEFAULT_TARGET_VERSION = '4.0.0';
+const DEFAULT_COLLECTION_CONCURRENCY = 5;
 
 const ERROR_CONNECTION = 1;
 const ERROR_DB_LIST = 2;
@@ -12,6 +29,8 @@ const ERROR_GET_DATA = 5;
 const ERROR_HANDLE_BUCKET = 6;
 const ERROR_COLLECTION_DATA = 7;
 
+const activeRuns = new Set();
+
 module.exports = {
 	connect: function(connectionInfo, logger, cb){
 		logger.clear();
@@ -28,7 +47,19 @@ module.exports = {
 			});
 	},
 
+	parseConnectionString: function(connectionInfo, logger, cb){
+		try {
+			const parsedData = connectionHelper.parseConnectionString(connectionInfo.connectionString);
+
+			cb(null, { parsedData });
+		} catch (err) {
+			logger.log('error', { message: err.message, stack: err.stack }, 'Parsing connection string error');
+			cb({ message: err.message, stack: err.stack });
+		}
+	},
+
 	disconnect: function(connectionInfo, logger, cb){
+		cancelActiveRuns(logger);
 		cb()
 	},
 
@@ -89,10 +120,10 @@ module.exports = {
 						collections = connectionInfo.includeSystemCollection ? collections : filterSystemCollections(collections);
 						logger.log('info', collections, 'Mapped collection list');
 
-						async.map(collections, (collectionData, collItemCallback) => {
+						async.mapLimit(collections, getCollectionConcurrency(connectionInfo), (collectionData, collItemCallback) => {
 							const collection = db.collection(collectionData.name);
 
-							getData(collection, connectionInfo.recordSamplingSettings, function (err, documents) {
+							getData(collection, connectionInfo, logger, function (err, documents) {
 								if (err) {
 									logger.log('error', err);
 									return collItemCallback(err, null);
@@ -150,7 +181,7 @@ module.exports = {
 					} else {
 						let collectionNames = (connectionInfo.includeSystemCollection ? collections : filterSystemCollections(collections)).map(item => item.name);
 						logger.log('info', collectionNames, "Collection list for current database", connectionInfo.hiddenKeys);
-						handleBucket(_, async, connectionInfo, collectionNames, db, function (err, items) {
+						handleBucket(_, async, connectionInfo, logger, collectionNames, db, function (err, items) {
 							connection.close();
 							if (err) {
 								cb(err);
@@ -175,7 +206,8 @@ module.exports = {
 
 		logger.log('info', { CollectionList: bucketList }, 'Selected collection list', data.hiddenKeys);
 
-		const cosmosClient = new CosmosClient(data.database, data.host, data.password, data.isLocal);
+		const { host, password } = connectionHelper.resolveConnectionInfo(data);
+		const cosmosClient = new CosmosClient(data.database, host, password, data.isLocal, getProxySettings(data));
 
 		this.connect(data, logger, async (err, connection) => {
 			if (err) {
@@ -195,9 +227,14 @@ module.exports = {
 					return cb(createError(ERROR_DB_CONNECTION, error));
 				}
 
+				const isVCore = connectionHelper.isVCoreConnection(data);
+				const getBucketCollectionInfo = isVCore
+					? collectionName => getClusterCollectionInfo(connection, data.database, collectionName)
+					: collectionName => getCollectionInfo(db, collectionName);
 				let modelInfo = {
-					accountID: data.password,
-					version: '4.0.0'
+					accountID: password,
+					deploymentType: isVCore ? 'vCore' : 'RU',
+					dbVersion: getTargetVersion(),
 				};
 
 				await Promise.all([
@@ -205,28 +242,40 @@ module.exports = {
 						logger.progress({ message: 'Error while getting version: ' + err.message, containerName: data.database, entityName: '' });
 						logger.log('error', err);
 					}),
-					data.includeAccountInformation
-						? cosmosClient.getAdditionalAccountInfo(data).catch(err => {
+					data.includeAccountInformation && !isVCore
+						? cosmosClient.getAdditionalAccountInfo({ ...data, host }).catch(err => {
 							logger.progress({ message: 'Error while getting control pane data: ' + err.message, containerName: data.database, entityName: '' });
 							logger.log('error', err, 'Error while getting control pane data');
 
 							return {};
 						})
 						: Promise.resolve({}),
-				]).then(([ buildInfo, controlPaneData ]) => {
+					isVCore ? Promise.resolve() : getDatabaseInfo(db).catch(err => {
+						logger.progress({ message: 'Error while getting database throughput: ' + err.message, containerName: data.database, entityName: '' });
+						logger.log('error', err, 'Error while getting database throughput');
+					}),
+				]).then(([ buildInfo, controlPaneData, databaseInfo ]) => {
 					modelInfo = {
 						...modelInfo,
 						...controlPaneData,
 						apiExperience: 'Mongo API',
-						version: buildInfo.version,
+						dbVersion: getTargetVersion(buildInfo?.version),
+						databases: getDatabasesInfo(data.database, databaseInfo),
 					}
 				});
 
-				async.map(bucketList, (bucketName, collItemCallback) => {
-					const collection = db.collection(bucketName);
+				const run = startRun(connection);
+				const failedCollections = [];
+
+				async.mapLimit(bucketList, getCollectionConcurrency(data), (bucketName, collItemCallback) => {
+					if (run.cancelled) {
+						return collItemCallback(null, []);
+					}
+
+					const collection = db.collection(bucketName, { promoteValues: false });
 					logger.progress({ message: 'Collection data loading ...', containerName: data.database, entityName: bucketName });											
 
-					getBucketInfo(db, bucketName, (err) => {
+					getBucketInfo({ db, collectionName: bucketName, getBucketCollectionInfo, logger }, (err) => {
 						logger.progress({ message: 'Error of getting collection data .\n ' + err.message, containerName: data.database, entityName: bucketName });											
 						logger.log('error', err);
 					}, (err, bucketInfo = {}) => {
@@ -243,11 +292,13 @@ module.exports = {
 						logger.progress({ message: 'Collection data has loaded', containerName: data.database, entityName: bucketName });											
 						logger.progress({ message: 'Loading documents...', containerName: data.database, entityName: bucketName });											
 
-						getData(collection, recordSamplingSettings, (err, documents) => {
+						getData(collection, data, logger, (err, documents) => {
 							if(err) {
 								logger.progress({ message: 'Error of loading documents.\n ' + err.message, containerName: data.database, entityName: bucketName });											
 								logger.log('error', err);
-								return collItemCallback(err, null);
+								failedCollections.push(bucketName);
+
+								return collItemCallback(null, []);
 							} else {
 								logger.progress({ message: 'Documents have loaded', containerName: data.database, entityName: bucketName });											
 
@@ -285,7 +336,7 @@ module.exports = {
 												bucketIndexes: [],
 												views: [],
 												validation: {
-													jsonSchema: getJsonSchema(newArrayDocuments[0]),
+													jsonSchema: getJsonSchema(newArrayDocuments),
 												},
 												id: '_id',
 												docType: documentKindName,
@@ -309,7 +360,7 @@ module.exports = {
 										bucketIndexes: [],
 										views: [],
 										validation: {
-											jsonSchema: getJsonSchema(documents[0]),
+											jsonSchema: getJsonSchema(documents),
 										},
 										docType: bucketName,
 										bucketInfo
@@ -331,7 +382,17 @@ module.exports = {
 					if(err){
 						logger.log('error', err);
 					}
+					finishRun(run);
 					connection.close();
+
+					if (run.cancelled) {
+						return cb({ message: 'Reverse-engineering has been cancelled' });
+					}
+
+					if (failedCollections.length > 0) {
+						logger.log('error', { message: `Collections not reverse-engineered: ${failedCollections.join(', ')}` }, 'Some collections failed to load');
+					}
+
 					return cb(createError(ERROR_COLLECTION_DATA, err), items, modelInfo);
 				});
 			} catch (err) {
@@ -345,122 +406,6 @@ module.exports = {
 	}
 };
 
-const getValue = (doc) => {
-	if (doc instanceof bson.BSONRegExp || doc instanceof RegExp) {
-		return doc.toString();
-	} else if (doc instanceof Date) {
-		return doc.toISOString();
-	} else if (doc instanceof bson.ObjectID) {
-		return `ObjectId("${doc.toString()}")`;
-	} else if (doc instanceof bson.MinKey) {
-		return '';
-	} else if (doc instanceof bson.MaxKey) {
-		return '';
-	} else if (doc instanceof bson.Code) {
-		return doc.code;
-	} else if (doc instanceof bson.Decimal128) {
-		return 1.0;
-	} else if (doc instanceof bson.Long) {
-		return 1;
-	} else if (doc instanceof bson.Binary) {
-		return doc.buffer.toString('base64'); 
-	} else if (typeof doc === 'number' && Math.abs(doc) > 2**32) {
-		return Math.abs(doc) % 2**32;
-	}
-};
-
-function adjustDocuments(doc) {
-	if (Array.isArray(doc)) {
-		return doc.map(adjustDocuments);
-	} else if (getValue(doc) !== undefined) {
-		return getValue(doc);
-	} else if (doc && typeof doc === 'object') {
-		return Object.keys(doc).reduce((result, key) => {
-			return {
-				...result,
-				[key]: adjustDocuments(doc[key]),
-			};
-		}, {});
-	} else {
-		return doc;
-	}
-}
-
-function getJsonSchema(doc) {
-	if (Array.isArray(doc)) {
-		const items = getJsonSchema(doc[0]);
-		if (items) {
-			return {
-				items,
-			};
-		}
-	} else if (doc instanceof bson.BSONRegExp || doc instanceof RegExp) {
-		return {
-			type: 'regex'
-		};
-	} else if (doc instanceof bson.ObjectID) {
-		return {
-			type: 'objectId'
-		}; 
-	} else if (doc instanceof bson.MinKey) {
-		return {
-			type: 'minKey'
-		}; 
-	} else if (doc instanceof bson.MaxKey) {
-		return {
-			type: 'maxKey'
-		}; 
-	} else if (doc instanceof bson.Code) {
-		return {
-			type: 'JavaScript'
-		};
-	} else if (doc instanceof bson.Long) {
-		return {
-			type: 'numeric',
-			mode: 'integer64'
-		};
-	} else if (typeof doc === "number" && Math.abs(doc) > 2**32) {
-		return {
-			type: 'numeric',
-			mode: 'integer64'
-		};
-	} else if (doc instanceof bson.Decimal128) {
-		return {
-			type: 'numeric',
-			mode: 'decimal128'
-		};
-	} else if (doc instanceof bson.Binary) {
-		return {
-			type: 'binary'
-		}; 
-	} else if (doc instanceof Date) {
-		return {
-			type: 'date'
-		}; 
-	} else if (doc && typeof doc === 'object') {
-		const properties = Object.keys(doc).reduce((schema, key) => {
-			const data = getJsonSchema(doc[key]);
-	
-			if (!data) {
-				return schema;
-			}
-
-			return {
-				...schema,
-				[key]: data,
-			};
-		}, {});
-
-		if (Object.keys(properties).length === 0) {
-			return;
-		}
-
-		return {
-			properties,
-		};
-	}
-}
-
 function getBuildInfo(db) {
 	return new Promise((resolve, reject) => {
 		db.admin().buildInfo((err, info) => {
@@ -473,6 +418,30 @@ function getBuildInfo(db) {
 	});
 }
 
+function getTargetVersion(serverVersion = '') {
+	const [major = 0, minor = 0] = serverVersion.split('.').map(Number);
+	const supportedVersion = TARGET_VERSIONS.filter(version => {
+		const [targetMajor, targetMinor] = version.split('.').map(Number);
+
+		return targetMajor < major || (targetMajor === major && targetMinor <= minor);
+	}).pop();
+
+	return supportedVersion || DEFAULT_TARGET_VERSION;
+}
+
+function getProxySettings(connectionInfo) {
+	if (!connectionInfo.proxy) {
+		return;
+	}
+
+	return {
+		host: connectionInfo.proxyHost,
+		port: connectionInfo.proxyPort,
+		userName: connectionInfo.proxyUser,
+		password: connectionInfo.proxyPassword,
+	};
+}
+
 function getSamplingInfo(recordSamplingSettings, fieldInference){
 	let samplingInfo = {};
 	let value = recordSamplingSettings[recordSamplingSettings.active].value;
@@ -482,16 +451,18 @@ function getSamplingInfo(recordSamplingSettings, fieldInference){
 	return samplingInfo;
 }
 
-function handleBucket(_, async, connectionInfo, collectionNames, database, dbItemCallback){
-	async.map(collectionNames, (collectionName, collItemCallback) => {
+function handleBucket(_, async, connectionInfo, logger, collectionNames, database, dbItemCallback){
+	async.mapLimit(collectionNames, getCollectionConcurrency(connectionInfo), (collectionName, collItemCallback) => {
 		const collection = database.collection(collectionName);
 		if (!collection) {
 			return collItemCallback(`Failed got collection ${collectionName}`);
 		}
 
-		getData(collection, connectionInfo.recordSamplingSettings, (err, documents) => {
+		getData(collection, connectionInfo, logger, (err, documents) => {
 			if(err){
-				return collItemCallback(err);
+				logger.log('error', createError(ERROR_GET_DATA, err), `Documents of collection ${collectionName} are not loaded`);
+
+				return collItemCallback(null, prepareConnectionDataItem(_, [], collectionName, database, false));
 			} else {
 				documents  = filterDocuments(documents);
 				let documentKind = connectionInfo.documentKinds[collectionName].documentKindName || '*';
@@ -637,42 +608,49 @@ function getSampleDocSize(count, recordSamplingSettings) {
 		: Math.round( count/100 * per);
 }
 
-function getData(collection, sampleSettings, callback) {
-	collection.countDocuments((err, count) => {
-		const amount = !err && count > 0 ? count : 1000;								
-		const size = +getSampleDocSize(amount, sampleSettings) || 1000;
-		const iterations = size > 1000 ? Math.ceil(size / 1000) : 1;
+function getData(collection, connectionInfo, logger, callback) {
+	let samplingOptions;
 
-		asyncLoop(iterations, function (i, callback) {
-			const limit = i < iterations - 1 || size % 1000 === 0 ? 1000 : size % 1000;
-			
-			collection.find().limit(limit).toArray(callback);									
-		}, callback);
-	});
+	try {
+		samplingOptions = getSamplingOptions(connectionInfo);
+	} catch (err) {
+		return callback(err);
+	}
+
+	retryThrottled(() => collection.countDocuments(samplingOptions.filter), logger, `Counting documents of ${collection.collectionName}`)
+		.catch(() => 0)
+		.then(count => {
+			const amount = count > 0 ? count : 1000;
+			const size = +getSampleDocSize(amount, connectionInfo.recordSamplingSettings) || 1000;
+
+			return getSampleDocuments(collection, size, samplingOptions, logger);
+		})
+		.then(documents => callback(null, documents), callback);
 }
 
-function asyncLoop(iterations, callback, done) {
-	let result = [];
-	let i = 0; 
-	let handler = function (err, data) {
-		if (err) {
-			done(err);
-		} else {
-			result = result.concat(data);
-			
-			if (++i < iterations) {
-				callback(i, handler);
-			} else {
-				done(err, result);
-			}
-		}
-	};
+function getCollectionConcurrency(connectionInfo) {
+	const concurrency = Math.floor(Number(connectionInfo.collectionConcurrency));
 
-	try {
-		callback(i, handler);
-	} catch (e) {
-		done(e);
-	}
+	return concurrency > 0 ? concurrency : DEFAULT_COLLECTION_CONCURRENCY;
+}
+
+function startRun(connection) {
+	const run = { connection, cancelled: false };
+	activeRuns.add(run);
+
+	return run;
+}
+
+function finishRun(run) {
+	activeRuns.delete(run);
+}
+
+function cancelActiveRuns(logger) {
+	activeRuns.forEach(run => {
+		run.cancelled = true;
+		logger.log('info', { message: 'Cancelling reverse-engineering' }, 'Reverse-Engineering cancelled');
+		run.connection.close();
+	});
 }
 
 function createError(code, message) {
@@ -687,112 +665,28 @@ function createError(code, message) {
 	return {code, message};
 }
 
-const getShardingKey = (db, collectionName) => new Promise((resolve, reject) => {
-	db.command({
-		customAction: 'GetCollection',
-		collection: collectionName
-	}, (err, result) => {
-		if (err) {
-			return reject(err);
-		}
-
-		if (!result.shardKeyDefinition) {
-			return resolve('');
-		}
-
-		const shardingKey = Object.keys(result.shardKeyDefinition)[0] || '';
-
-		return resolve(shardingKey);
-	});
-});
-
-const getAllTypesIndexes = (db, collectionName, shardingKey) => new Promise((resolve, reject) => {
-	db.command({
-		listIndexes: collectionName
-	}, (err, result) => {
-		if (err) {
-			return reject(err);
-		}
-
-		const allIndexes = result?.cursor?.firstBatch || [];
-
-		const uniqueKeys = allIndexes.filter(item => {
-			return item.unique;
-		}).map((item) => {
-			return {
-				attributePath: Object.keys(item.key).filter(key => key !== shardingKey)
-			};
-		});
-
-		const ttlIndex = allIndexes.filter(item => {
-			return item.expireAfterSeconds !== undefined;
-		}).map((item) => {
-			return {
-				expireAfterSeconds: item.expireAfterSeconds,
-				name: item.name,
-				key:  Object.keys(item.key)[0],
-			};
-		})[0];
-
-		const indexes = allIndexes.filter(index => {
-			if (index.unique) {
-				return false;
-			}
-
-			if (index.expireAfterSeconds !== undefined) {
-				return false;
-			}
-
-			if (Object.keys(index.key).some(key => key === 'DocumentDBDefaultIndex')) {
-				return false;
-			}
-
-			return true;
-		}).map(index => {
-			const getIndexType = (index) => {
-				const isCompound = Object.values(index.key).length > 1;
-				const isWildcard = Object.keys(index.key).some(key => key.endsWith('$**'));
-
-				if (isCompound) {
-					return 'Compound';
-				} else if (isWildcard) {
-					return 'Wildcard';
-				} else {
-					return 'Single Field';
-				}
-			};
-			const type = (indexType) => {
-				if (indexType === -1) {
-					return 'descending';
-				} else if (indexType === '2dsphere') {
-					return '2dsphere';
-				} else {
-					return 'ascending';
-				}
-			};
-
-			return {
-				name: index.name,
-				indexType: getIndexType(index),
-				indexKey: Object.keys(index.key).map(key => ({
-					type: type(index.key[key]),
-					name: key.replace(/\.\$\*\*$/, ''),
-				}))
-			};
-		});
+function getBucketInfo({ db: dbInstance, collectionName, getBucketCollectionInfo, logger }, logError, cb) {
+	let bucketInfo = {};
 
-		resolve({ uniqueKeys, ttlIndex, indexes });
-	});
-});
+	Promise.all([
+		retryThrottled(() => getBucketCollectionInfo(collectionName), logger, `Getting collection ${collectionName}`),
+		retryThrottled(() => getCollectionStats(dbInstance, collectionName), logger, `Getting statistics of ${collectionName}`).catch(err => {
+			logError(err);
 
-function getBucketInfo(dbInstance, collectionName, logError, cb) {
-	let bucketInfo = {};
+			return {};
+		}),
+	])
+	.then(([collectionInfo, statistics]) => {
+		const shardKeyDefinition = getShardKeyDefinition(collectionInfo);
 
-	getShardingKey(dbInstance, collectionName)
-	.then(result => {
-		bucketInfo.shardKey = result;
+		bucketInfo = {
+			...bucketInfo,
+			...getCollectionThroughput(collectionInfo),
+			...statistics,
+			shardKey: shardKeyDefinition,
+		};
 
-		return getAllTypesIndexes(dbInstance, collectionName, result);
+		return retryThrottled(() => getAllTypesIndexes(dbInstance, collectionName, shardKeyDefinition), logger, `Listing indexes of ${collectionName}`);
 	}, logError)
 	.then(result => {
 		bucketInfo.uniqueKey = result.uniqueKeys;
@@ -810,24 +704,3 @@ function getBucketInfo(dbInstance, collectionName, logError, cb) {
 	});
 
 }
-
-function convertTtlIndex(ttlIndex) {
-	let TTL = 'Off';
-
-	if (!ttlIndex) {
-		return { TTL };
-	}
-
-	if (ttlIndex.expireAfterSeconds === -1) {
-		TTL = 'On (no default)';
-	} else {
-		TTL = 'On';
-	}
-
-	const TTLseconds = ttlIndex.expireAfterSeconds;
-
-	return {
-		TTL,
-		TTLseconds,
-	};
-}
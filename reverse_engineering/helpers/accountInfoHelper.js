@@ -0,0 +1,125 @@
+const CONSISTENCY_LEVELS = {
+	Eventual: 'Eventual',
+	Session: 'Session',
+	BoundedStaleness: 'Bounded staleness',
+	Strong: 'Strong',
+	ConsistentPrefix: 'Consistent prefix',
+};
+
+const SERVERLESS_CAPABILITY = 'EnableServerless';
+const SERVER_SIDE_RETRY_CAPABILITY = 'DisableRateLimitingResponses';
+
+const getConsistencyPolicy = (consistencyPolicy) => {
+	if (!consistencyPolicy) {
+		return {};
+	}
+
+	const defaultConsistency = CONSISTENCY_LEVELS[consistencyPolicy.defaultConsistencyLevel];
+
+	if (defaultConsistency !== CONSISTENCY_LEVELS.BoundedStaleness) {
+		return { defaultConsistency };
+	}
+
+	return {
+		defaultConsistency,
+		maxStalenessPrefix: consistencyPolicy.maxStalenessPrefix,
+		maxIntervalInSeconds: consistencyPolicy.maxIntervalInSeconds,
+	};
+};
+
+const getBackupPolicy = (backupPolicy) => {
+	if (!backupPolicy?.type) {
+		return {};
+	}
+
+	if (backupPolicy.type === 'Continuous') {
+		return {
+			backupPolicyType: 'Continuous',
+			continuousBackupTier: backupPolicy.continuousModeProperties?.tier,
+		};
+	}
+
+	const properties = backupPolicy.periodicModeProperties || {};
+
+	return {
+		backupPolicyType: 'Periodic',
+		backupIntervalInMinutes: properties.backupIntervalInMinutes,
+		backupRetentionIntervalInHours: properties.backupRetentionIntervalInHours,
+		backupStorageRedundancy: properties.backupStorageRedundancy,
+	};
+};
+
+const getCapabilities = (capabilities = []) => {
+	const names = capabilities.map(capability => capability.name).filter(Boolean);
+
+	return {
+		enableServerless: names.includes(SERVERLESS_CAPABILITY),
+		enableServerSideRetry: names.includes(SERVER_SIDE_RETRY_CAPABILITY),
+		capabilities: names
+			.filter(name => ![SERVERLESS_CAPABILITY, SERVER_SIDE_RETRY_CAPABILITY].includes(name))
+			.map(capabilityName => ({ capabilityName })),
+	};
+};
+
+const getIpRangeFilter = (properties) => {
+	if (Array.isArray(properties.ipRules)) {
+		return properties.ipRules.map(rule => rule.ipAddressOrRange).filter(Boolean).join(',');
+	}
+
+	return properties.ipRangeFilter;
+};
+
+const getPrivateEndpoints = (privateEndpointConnections = []) => {
+	return privateEndpointConnections.map(({ properties = {} }) => ({
+		privateEndpointId: properties.privateEndpoint?.id,
+		connectionStatus: properties.privateLinkServiceConnectionState?.status,
+		groupId: properties.groupId,
+	}));
+};
+
+const getCors = (cors = []) => {
+	return cors.map(rule => ({
+		allowedOrigins: rule.allowedOrigins,
+		allowedMethods: rule.allowedMethods,
+		allowedHeaders: rule.allowedHeaders,
+		exposedHeaders: rule.exposedHeaders,
+		maxAgeInSeconds: rule.maxAgeInSeconds,
+	}));
+};
+
+const getAccountInfo = (accountData) => {
+	const properties = accountData.properties || {};
+
+	return {
+		preferredLocation: accountData.location,
+		enableMultipleWriteLocations: properties.enableMultipleWriteLocations,
+		enableAutomaticFailover: properties.enableAutomaticFailover,
+		...getConsistencyPolicy(properties.consistencyPolicy),
+		...getBackupPolicy(properties.backupPolicy),
+		...getCapabilities(properties.capabilities),
+		publicNetworkAccess: properties.publicNetworkAccess,
+		isVirtualNetworkFilterEnabled: properties.isVirtualNetworkFilterEnabled,
+		virtualNetworkRules: (properties.virtualNetworkRules || []).map(({ id, ignoreMissingVNetServiceEndpoint }) => ({
+			virtualNetworkId: id,
+			ignoreMissingVNetServiceEndpoint
+		})),
+		ipRangeFilter: getIpRangeFilter(properties),
+		privateEndpoints: getPrivateEndpoints(properties.privateEndpointConnections),
+		enableAnalyticalStorage: properties.enableAnalyticalStorage,
+		analyticalStorageSchemaType: properties.analyticalStorageConfiguration?.schemaType,
+		cors: getCors(properties.cors),
+		disableKeyBasedMetadataWriteAccess: properties.disableKeyBasedMetadataWriteAccess,
+		disableLocalAuth: properties.disableLocalAuth,
+		tags: Object.entries(accountData.tags || {}).map(([tagName, tagValue]) => ({ tagName, tagValue })),
+		locations: (properties.locations || []).map(({ id, locationName, failoverPriority, isZoneRedundant }) => ({
+			locationId: id,
+			locationName,
+			failoverPriority,
+			isZoneRedundant
+		}))
+	};
+};
+
+module.exports = {
+	getAccountInfo,
+};
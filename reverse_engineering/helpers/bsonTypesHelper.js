@@ -0,0 +1,217 @@
+const bson = require('bson');
+
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+const NUMERIC_MODES = ['integer32', 'integer64', 'double', 'decimal128'];
+const BINARY_SUBTYPES = {
+	0: 'generic',
+	1: 'function',
+	2: 'binary (old)',
+	3: 'UUID (old)',
+	4: 'UUID',
+	5: 'MD5',
+	6: 'encrypted',
+	7: 'compressed column',
+	8: 'sensitive',
+	9: 'vector',
+	128: 'user-defined',
+};
+
+const isInt32 = (number) => Number.isInteger(number) && number >= INT32_MIN && number <= INT32_MAX;
+
+const getNumericValue = (stringValue) => {
+	const number = Number(stringValue);
+
+	return String(number) === stringValue ? number : stringValue;
+};
+
+const getLongValue = (long) => {
+	const number = long.toNumber();
+
+	return Number.isSafeInteger(number) ? number : long.toString();
+};
+
+const getBinarySubtype = (binary) => BINARY_SUBTYPES[binary.sub_type] || BINARY_SUBTYPES[128];
+
+const getCodeScope = (code) => {
+	if (!code.scope || Object.keys(code.scope).length === 0) {
+		return;
+	}
+
+	return JSON.stringify(adjustDocuments(code.scope));
+};
+
+const getValue = (doc) => {
+	if (doc instanceof bson.BSONRegExp) {
+		return `/${doc.pattern}/${doc.options}`;
+	} else if (doc instanceof RegExp) {
+		return doc.toString();
+	} else if (doc instanceof Date) {
+		return doc.toISOString();
+	} else if (doc instanceof bson.ObjectID) {
+		return `ObjectId("${doc.toString()}")`;
+	} else if (doc instanceof bson.MinKey) {
+		return 'MinKey()';
+	} else if (doc instanceof bson.MaxKey) {
+		return 'MaxKey()';
+	} else if (doc instanceof bson.Code) {
+		return doc.code;
+	} else if (doc instanceof bson.Decimal128) {
+		return getNumericValue(doc.toString());
+	} else if (doc instanceof bson.Long) {
+		return getLongValue(doc);
+	} else if (doc instanceof bson.Int32 || doc instanceof bson.Double) {
+		return doc.valueOf();
+	} else if (doc instanceof bson.Timestamp) {
+		return `Timestamp(${doc.getHighBits()}, ${doc.getLowBits()})`;
+	} else if (doc instanceof bson.Symbol) {
+		return doc.valueOf();
+	} else if (doc instanceof bson.Binary) {
+		return doc.value(true).toString('base64');
+	}
+};
+
+function adjustDocuments(doc) {
+	if (Array.isArray(doc)) {
+		return doc.map(adjustDocuments);
+	} else if (doc instanceof bson.DBRef) {
+		return adjustDocuments(doc.toJSON());
+	} else if (getValue(doc) !== undefined) {
+		return getValue(doc);
+	} else if (doc && typeof doc === 'object') {
+		return Object.keys(doc).reduce((result, key) => {
+			return {
+				...result,
+				[key]: adjustDocuments(doc[key]),
+			};
+		}, {});
+	} else {
+		return doc;
+	}
+}
+
+const getNumberSchema = (number) => {
+	if (!Number.isInteger(number)) {
+		return { type: 'numeric', mode: 'double' };
+	}
+
+	return { type: 'numeric', mode: isInt32(number) ? 'integer32' : 'integer64' };
+};
+
+function getValueSchema(doc) {
+	if (doc === undefined) {
+		return;
+	} else if (doc === null) {
+		return { type: 'null' };
+	} else if (Array.isArray(doc)) {
+		const items = mergeSchemas(doc.map(getValueSchema));
+
+		return items ? { type: 'array', items } : { type: 'array' };
+	} else if (doc instanceof bson.BSONRegExp || doc instanceof RegExp) {
+		return { type: 'regex' };
+	} else if (doc instanceof bson.ObjectID) {
+		return { type: 'objectId' };
+	} else if (doc instanceof bson.MinKey) {
+		return { type: 'minKey' };
+	} else if (doc instanceof bson.MaxKey) {
+		return { type: 'maxKey' };
+	} else if (doc instanceof bson.Code) {
+		const scope = getCodeScope(doc);
+
+		return scope ? { type: 'JavaScript', scope } : { type: 'JavaScript' };
+	} else if (doc instanceof bson.Decimal128) {
+		return { type: 'numeric', mode: 'decimal128' };
+	} else if (doc instanceof bson.Long) {
+		return { type: 'numeric', mode: 'integer64' };
+	} else if (doc instanceof bson.Int32) {
+		return { type: 'numeric', mode: 'integer32' };
+	} else if (doc instanceof bson.Double) {
+		return { type: 'numeric', mode: 'double' };
+	} else if (doc instanceof bson.Timestamp) {
+		return { type: 'timestamp' };
+	} else if (doc instanceof bson.Symbol) {
+		return { type: 'symbol' };
+	} else if (doc instanceof bson.Binary) {
+		return { type: 'binary', subtype: getBinarySubtype(doc) };
+	} else if (doc instanceof Date) {
+		return { type: 'date' };
+	} else if (doc instanceof bson.DBRef) {
+		return getValueSchema(doc.toJSON());
+	} else if (typeof doc === 'number') {
+		return getNumberSchema(doc);
+	} else if (typeof doc === 'string') {
+		return { type: 'string' };
+	} else if (typeof doc === 'boolean') {
+		return { type: 'boolean' };
+	} else if (typeof doc === 'object') {
+		return {
+			type: 'document',
+			properties: Object.keys(doc).reduce((properties, key) => {
+				const schema = getValueSchema(doc[key]);
+
+				return schema ? { ...properties, [key]: schema } : properties;
+			}, {}),
+		};
+	}
+}
+
+const getWiderMode = (mode, otherMode) => {
+	if (!mode || !otherMode) {
+		return mode || otherMode;
+	}
+
+	return NUMERIC_MODES.indexOf(mode) > NUMERIC_MODES.indexOf(otherMode) ? mode : otherMode;
+};
+
+const mergeProperties = (properties, otherProperties) => {
+	return Object.keys(otherProperties).reduce((result, key) => ({
+		...result,
+		[key]: result[key] ? mergeSchemas([result[key], otherProperties[key]]) : otherProperties[key],
+	}), properties);
+};
+
+const mergeTwoSchemas = (schema, otherSchema) => {
+	const types = [].concat(schema.type, otherSchema.type).filter((type, index, allTypes) => allTypes.indexOf(type) === index);
+	const result = {
+		...schema,
+		...otherSchema,
+		type: types.length === 1 ? types[0] : types,
+	};
+	const mode = getWiderMode(schema.mode, otherSchema.mode);
+
+	if (mode) {
+		result.mode = mode;
+	}
+	if (schema.subtype && otherSchema.subtype && schema.subtype !== otherSchema.subtype) {
+		result.subtype = BINARY_SUBTYPES[0];
+	}
+	if (schema.properties && otherSchema.properties) {
+		result.properties = mergeProperties(schema.properties, otherSchema.properties);
+	}
+	if (schema.items && otherSchema.items) {
+		result.items = mergeSchemas([schema.items, otherSchema.items]);
+	}
+
+	return result;
+};
+
+function mergeSchemas(schemas) {
+	return schemas.filter(Boolean).reduce((result, schema) => result ? mergeTwoSchemas(result, schema) : schema, undefined);
+}
+
+function getJsonSchema(documents) {
+	const schema = mergeSchemas((documents || []).map(getValueSchema));
+
+	if (!schema || !schema.properties || Object.keys(schema.properties).length === 0) {
+		return;
+	}
+
+	return {
+		properties: schema.properties,
+	};
+}
+
+module.exports = {
+	adjustDocuments,
+	getJsonSchema,
+};
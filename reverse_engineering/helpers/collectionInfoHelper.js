@@ -0,0 +1,285 @@
+const getCollectionInfo = (db, collectionName) => new Promise((resolve, reject) => {
+	db.command({
+		customAction: 'GetCollection',
+		collection: collectionName
+	}, (err, result) => {
+		if (err) {
+			return reject(err);
+		}
+
+		return resolve(result);
+	});
+});
+
+const getDatabaseInfo = (db) => new Promise((resolve, reject) => {
+	db.command({
+		customAction: 'GetDatabase',
+	}, (err, result) => {
+		if (err) {
+			return reject(err);
+		}
+
+		return resolve(result);
+	});
+});
+
+const getDatabasesInfo = (databaseId, databaseInfo) => {
+	const maxThroughput = databaseInfo?.autoScaleSettings?.maxThroughput;
+	const throughput = maxThroughput || databaseInfo?.provisionedThroughput;
+
+	if (!throughput) {
+		return [];
+	}
+
+	return [{
+		databaseId,
+		throughput,
+		autopilot: Boolean(maxThroughput),
+	}];
+};
+
+const getClusterCollectionInfo = (connection, dbName, collectionName) => {
+	return connection.db('config').collection('collections')
+		.findOne({ _id: `${dbName}.${collectionName}` })
+		.then(info => ({ shardKeyDefinition: info?.key || {} }))
+		.catch(() => ({}));
+};
+
+const getShardKeyType = (type) => {
+	return type === 1 || /^(range|ascending)$/i.test(String(type)) ? 'ascending' : 'hashed';
+};
+
+const getShardKeyDefinition = (collectionInfo) => {
+	return Object.keys(collectionInfo?.shardKeyDefinition || {}).map(name => ({
+		name,
+		type: getShardKeyType(collectionInfo.shardKeyDefinition[name]),
+	}));
+};
+
+const getShardingKey = (db, collectionName) => getCollectionInfo(db, collectionName).then(getShardKeyDefinition);
+
+const getClusterShardingKey = (connection, dbName, collectionName) => getClusterCollectionInfo(connection, dbName, collectionName).then(getShardKeyDefinition);
+
+const getCollectionThroughput = (collectionInfo) => {
+	const maxThroughput = collectionInfo?.autoScaleSettings?.maxThroughput;
+
+	if (maxThroughput) {
+		return { throughput: maxThroughput, autopilot: true };
+	}
+
+	if (collectionInfo?.provisionedThroughput) {
+		return { throughput: collectionInfo.provisionedThroughput, autopilot: false };
+	}
+
+	return {};
+};
+
+const getCollectionStats = (db, collectionName) => db.command({ collStats: collectionName }).then(stats => {
+	const statistics = {
+		documentCount: stats?.count,
+		storageSize: stats?.storageSize || stats?.size,
+		avgDocumentSize: stats?.avgObjSize,
+	};
+
+	return Object.keys(statistics).filter(key => Number.isFinite(Number(statistics[key]))).reduce((result, key) => ({
+		...result,
+		[key]: Number(statistics[key]),
+	}), {});
+});
+
+const listIndexes = (db, collectionName) => new Promise((resolve, reject) => {
+	db.command({
+		listIndexes: collectionName
+	}, (err, result) => {
+		if (err) {
+			return reject(err);
+		}
+
+		return resolve(result?.cursor?.firstBatch || []);
+	});
+});
+
+const DEFAULT_TTL_KEY = '_ts';
+const TEXT_INDEX_KEYS = ['_fts', '_ftsx'];
+const JSON_INDEX_OPTIONS = ['partialFilterExpression', 'wildcardProjection', 'collation'];
+const INDEX_OPTIONS = ['sparse', 'background', 'default_language', 'language_override', 'bits', 'min', 'max', '2dsphereIndexVersion'];
+
+const VECTOR_INDEX_KEY_TYPE = 'cosmosSearch';
+const VECTOR_INDEX_OPTIONS = ['dimensions', 'similarity', 'numLists', 'm', 'efConstruction', 'maxDegree', 'lBuild'];
+
+const isTextIndex = (index) => index.key._fts === 'text';
+
+const isVectorIndex = (index) => Object.values(index.key).includes(VECTOR_INDEX_KEY_TYPE);
+
+const getIndexType = (index) => {
+	const keys = Object.keys(index.key).filter(key => !TEXT_INDEX_KEYS.includes(key));
+	const keysCount = keys.length + (isTextIndex(index) ? Object.keys(index.weights || {}).length : 0);
+	const isWildcard = keys.some(key => key.endsWith('$**'));
+
+	if (isVectorIndex(index)) {
+		return 'Vector';
+	} else if (keysCount > 1) {
+		return 'Compound';
+	} else if (isWildcard) {
+		return 'Wildcard';
+	} else {
+		return 'Single Field';
+	}
+};
+
+const getKeyType = (keyType) => {
+	if (keyType === -1) {
+		return 'descending';
+	} else if (['2dsphere', '2d', 'text'].includes(keyType)) {
+		return keyType;
+	} else {
+		return 'ascending';
+	}
+};
+
+const getIndexKeys = (index) => {
+	return Object.keys(index.key).flatMap(key => {
+		if (key === '_fts') {
+			return Object.keys(index.weights || {}).map(name => ({ type: 'text', name }));
+		}
+
+		if (key === '_ftsx') {
+			return [];
+		}
+
+		if (index.key[key] === VECTOR_INDEX_KEY_TYPE) {
+			return [{ name: key }];
+		}
+
+		return [{
+			type: getKeyType(index.key[key]),
+			name: key.replace(/\.\$\*\*$/, ''),
+		}];
+	});
+};
+
+const getNormalizedIndexKey = (index) => {
+	if (index.key._fts !== 'text') {
+		return index.key;
+	}
+
+	return Object.keys(index.key).reduce((key, name) => {
+		if (name === '_ftsx') {
+			return key;
+		}
+
+		if (name === '_fts') {
+			return Object.keys(index.weights || {}).reduce((result, field) => ({ ...result, [field]: 'text' }), key);
+		}
+
+		return { ...key, [name]: index.key[name] };
+	}, {});
+};
+
+const getVectorIndexOptions = (index) => {
+	const cosmosSearchOptions = index.cosmosSearchOptions || {};
+
+	return {
+		vectorIndexKind: cosmosSearchOptions.kind,
+		...VECTOR_INDEX_OPTIONS.filter(option => cosmosSearchOptions[option] !== undefined).reduce((options, option) => ({
+			...options,
+			[option]: cosmosSearchOptions[option],
+		}), {}),
+	};
+};
+
+const hasCustomWeights = (index) => Object.values(index.weights || {}).some(weight => weight !== 1);
+
+const getIndexOptions = (index) => {
+	if (isVectorIndex(index)) {
+		return getVectorIndexOptions(index);
+	}
+
+	const jsonOptions = [
+		...JSON_INDEX_OPTIONS,
+		...(hasCustomWeights(index) ? ['weights'] : []),
+	];
+
+	return {
+		...INDEX_OPTIONS.filter(option => index[option] !== undefined).reduce((options, option) => ({
+			...options,
+			[option]: index[option],
+		}), {}),
+		...jsonOptions.filter(option => index[option] !== undefined).reduce((options, option) => ({
+			...options,
+			[option]: JSON.stringify(index[option], null, 2),
+		}), {}),
+	};
+};
+
+const getAllTypesIndexes = (db, collectionName, shardKeyDefinition = []) => listIndexes(db, collectionName).then(allIndexes => {
+	const shardKeyFields = shardKeyDefinition.map(key => key.name);
+	const uniqueKeys = allIndexes.filter(item => {
+		return item.unique;
+	}).map((item) => {
+		return {
+			attributePath: Object.keys(item.key).filter(key => !shardKeyFields.includes(key))
+		};
+	});
+
+	const ttlIndex = allIndexes.filter(item => {
+		return item.expireAfterSeconds !== undefined;
+	}).map((item) => {
+		return {
+			expireAfterSeconds: item.expireAfterSeconds,
+			name: item.name,
+			key:  Object.keys(item.key)[0],
+		};
+	})[0];
+
+	const indexes = allIndexes.filter(index => {
+		if (index.unique) {
+			return false;
+		}
+
+		if (index.expireAfterSeconds !== undefined) {
+			return false;
+		}
+
+		if (Object.keys(index.key).some(key => key === 'DocumentDBDefaultIndex')) {
+			return false;
+		}
+
+		return true;
+	}).map(index => ({
+		name: index.name,
+		indexType: getIndexType(index),
+		indexKey: getIndexKeys(index),
+		...getIndexOptions(index),
+	}));
+
+	return { uniqueKeys, ttlIndex, indexes };
+});
+
+const convertTtlIndex = (ttlIndex) => {
+	if (!ttlIndex) {
+		return { TTL: 'Off' };
+	}
+
+	return {
+		TTL: ttlIndex.expireAfterSeconds === -1 ? 'On (no default)' : 'On',
+		TTLseconds: ttlIndex.expireAfterSeconds,
+		TTLkey: ttlIndex.key !== DEFAULT_TTL_KEY ? [{ name: ttlIndex.key }] : undefined,
+	};
+};
+
+module.exports = {
+	getCollectionInfo,
+	getDatabaseInfo,
+	getDatabasesInfo,
+	getShardKeyDefinition,
+	getShardingKey,
+	getClusterCollectionInfo,
+	getClusterShardingKey,
+	getCollectionThroughput,
+	getCollectionStats,
+	listIndexes,
+	getNormalizedIndexKey,
+	getAllTypesIndexes,
+	convertTtlIndex,
+};
@@ -1,22 +1,276 @@
+const fs = require('fs');
+const tls = require('tls');
+const tunnel = require('tunnel-ssh');
 const MongoClient = require('mongodb').MongoClient;
 
+const CONNECTION_STRING_METHOD = 'connectionString';
+const READ_ONLY_KEY = 'readOnly';
+const UNVALIDATED_SSL = 'unvalidated';
+const EMULATOR_HOST = 'localhost';
+const EMULATOR_PORT = '10255';
+const EMULATOR_USER_NAME = 'localhost';
+const EMULATOR_KEY = 'C2y6yDjf5/R+ob0N8A7Cgv30VRDJIWEHLM+4QDU9DDMOJ/1ZcoPEAbE1VFSC5nOMVjhp0Iga4Xs2DXoo86y7Og==';
+const SSH_PRIVATE_KEY_METHOD = 'privateKey';
+const TUNNEL_HOST = '127.0.0.1';
+const VCORE_DEPLOYMENT = 'vCore';
+const RU_DEPLOYMENT = 'RU';
+const VCORE_HOST_REGEX = /\.mongocluster\.cosmos\.azure\.com$/i;
+const CONNECTION_STRING_REGEX = /^mongodb(?:\+srv)?:\/\/(?:([^:@/]*)(?::([^@/]*))?@)?([^/?]+)\/?([^?]*)(?:\?(.*))?$/i;
+
+function getQueryParameters(query = '') {
+	return Array.from(new URLSearchParams(query).entries()).reduce((parameters, [key, value]) => ({
+		...parameters,
+		[key.toLowerCase()]: value,
+	}), {});
+}
+
+function parseConnectionString(connectionString = '') {
+	const result = CONNECTION_STRING_REGEX.exec(connectionString.trim());
+
+	if (!result) {
+		throw new Error('Connection string is not valid. It must start with "mongodb://" or "mongodb+srv://"');
+	}
+
+	const [, userName = '', password = '', hosts, , query] = result;
+	const [host, port = ''] = hosts.split(',')[0].split(':');
+	const parameters = getQueryParameters(query);
+
+	return {
+		host,
+		port,
+		userName: decodeURIComponent(userName),
+		password: decodeURIComponent(password),
+		replicaSet: parameters.replicaset || '',
+		retryWrites: parameters.retrywrites === 'true',
+		maxIdleTimeMS: parameters.maxidletimems || '',
+		appName: parameters.appname || '',
+	};
+}
+
+function getEmulatorConnectionInfo(connectionInfo) {
+	return {
+		...connectionInfo,
+		host: connectionInfo.host || EMULATOR_HOST,
+		port: connectionInfo.port || EMULATOR_PORT,
+		userName: connectionInfo.userName || EMULATOR_USER_NAME,
+		password: connectionInfo.password || EMULATOR_KEY,
+		replicaSet: '',
+	};
+}
+
+function resolveConnectionInfo(connectionInfo) {
+	if (connectionInfo.connectionMethod === CONNECTION_STRING_METHOD) {
+		return {
+			...connectionInfo,
+			...parseConnectionString(connectionInfo.connectionString),
+		};
+	}
+
+	if (connectionInfo.isLocal) {
+		return getEmulatorConnectionInfo(connectionInfo);
+	}
+
+	return connectionInfo;
+}
+
+function isReadOnlyConnection(connectionInfo) {
+	return connectionInfo.keyType === READ_ONLY_KEY;
+}
+
+function isVCoreConnection(connectionInfo) {
+	if (connectionInfo.deploymentType === VCORE_DEPLOYMENT) {
+		return true;
+	}
+
+	if (connectionInfo.deploymentType === RU_DEPLOYMENT) {
+		return false;
+	}
+
+	return VCORE_HOST_REGEX.test(resolveConnectionInfo(connectionInfo).host || '');
+}
+
+function generateVCoreUrl(connectionInfo) {
+	const userName = encodeURIComponent(connectionInfo.userName || '');
+	const password = encodeURIComponent(connectionInfo.password || '');
+	const query = new URLSearchParams({
+		tls: 'true',
+		authMechanism: 'SCRAM-SHA-256',
+		retrywrites: 'false',
+		maxIdleTimeMS: connectionInfo.maxIdleTimeMS || '120000',
+	});
+
+	if (connectionInfo.appName) {
+		query.append('appName', connectionInfo.appName);
+	}
+
+	return `mongodb+srv://${userName}:${password}@${connectionInfo.host}/?${query.toString()}`;
+}
+
+function generateUrl(connectionInfo) {
+	if (connectionInfo.connectionMethod === CONNECTION_STRING_METHOD) {
+		return connectionInfo.connectionString.trim();
+	}
+
+	if (isVCoreConnection(connectionInfo)) {
+		return generateVCoreUrl(connectionInfo);
+	}
+
+	const userName = encodeURIComponent(connectionInfo.userName || '');
+	const password = encodeURIComponent(connectionInfo.password || '');
+	const query = new URLSearchParams({ ssl: 'true' });
+
+	if (connectionInfo.replicaSet) {
+		query.append('replicaSet', connectionInfo.replicaSet);
+	}
+	query.append('retrywrites', String(Boolean(connectionInfo.retryWrites)));
+	if (connectionInfo.maxIdleTimeMS) {
+		query.append('maxIdleTimeMS', connectionInfo.maxIdleTimeMS);
+	}
+	if (connectionInfo.appName) {
+		query.append('appName', connectionInfo.appName);
+	}
+
+	return `mongodb://${userName}:${password}@${connectionInfo.host}:${connectionInfo.port}/?${query.toString()}`;
+}
+
+function readFile(filePath, title) {
+	try {
+		return fs.readFileSync(filePath);
+	} catch (err) {
+		throw new Error(`${title} file cannot be read: ${err.message}`);
+	}
+}
+
+function getSslOptions(connectionInfo) {
+	const options = {
+		sslValidate: connectionInfo.sslType !== UNVALIDATED_SSL,
+	};
+
+	if (connectionInfo.certAuthority) {
+		options.sslCA = [readFile(connectionInfo.certAuthority, 'Certificate Authority')];
+	} else if (connectionInfo.isLocal) {
+		options.sslValidate = false;
+	}
+	if (connectionInfo.clientCert) {
+		options.sslCert = readFile(connectionInfo.clientCert, 'Client certificate');
+	}
+	if (connectionInfo.clientPrivateKey) {
+		options.sslKey = readFile(connectionInfo.clientPrivateKey, 'Client private key');
+	}
+	if (connectionInfo.passPhrase) {
+		options.sslPass = connectionInfo.passPhrase;
+	}
+
+	return options;
+}
+
 function generateConnectionParams(connectionInfo){
 	return {
-		url: `mongodb://${connectionInfo.userName}:${connectionInfo.password}@${connectionInfo.host}:${connectionInfo.port}?ssl=true`,
+		url: generateUrl(connectionInfo),
 		options: {
-			sslValidate:false,
+			...getSslOptions(connectionInfo),
 			useNewUrlParser: true,
 			useUnifiedTopology: true,
 		}
 	};
 }
 
-function connect(connectionInfo) {
-	const params = generateConnectionParams(connectionInfo);
+function getSshConfig(connectionInfo) {
+	const usePrivateKey = connectionInfo.ssh_method === SSH_PRIVATE_KEY_METHOD;
+
+	return {
+		host: connectionInfo.ssh_host,
+		port: Number(connectionInfo.ssh_port) || 22,
+		username: connectionInfo.ssh_user,
+		password: usePrivateKey ? undefined : connectionInfo.ssh_password,
+		privateKey: usePrivateKey ? readFile(connectionInfo.ssh_key_file, 'SSH private key') : undefined,
+		passphrase: usePrivateKey ? connectionInfo.ssh_key_passphrase : undefined,
+		dstHost: connectionInfo.host,
+		dstPort: Number(connectionInfo.port),
+		localHost: TUNNEL_HOST,
+		localPort: 0,
+		keepAlive: true,
+	};
+}
+
+function openSshTunnel(connectionInfo) {
+	return new Promise((resolve, reject) => {
+		const server = tunnel(getSshConfig(connectionInfo), (err, server) => {
+			if (err) {
+				reject(err);
+			} else {
+				resolve(server);
+			}
+		});
+
+		server.on('error', err => {
+			server.sshError = err;
+		});
+	});
+}
+
+function getTunneledConnectionParams(connectionInfo, sshTunnel) {
+	const params = generateConnectionParams({
+		...connectionInfo,
+		connectionMethod: 'parameters',
+		host: TUNNEL_HOST,
+		port: sshTunnel.address().port,
+	});
+
+	return {
+		url: params.url,
+		options: {
+			...params.options,
+			directConnection: true,
+			servername: connectionInfo.host,
+			checkServerIdentity: (hostName, cert) => tls.checkServerIdentity(connectionInfo.host, cert),
+		},
+	};
+}
+
+async function connectThroughSshTunnel(connectionInfo) {
+	const sshTunnel = await openSshTunnel(connectionInfo);
+
+	try {
+		const params = getTunneledConnectionParams(connectionInfo, sshTunnel);
+		const client = await MongoClient.connect(params.url, params.options);
+		const close = client.close.bind(client);
+
+		client.close = (...args) => {
+			sshTunnel.close();
+
+			return close(...args);
+		};
+
+		return client;
+	} catch (err) {
+		sshTunnel.close();
+
+		throw sshTunnel.sshError || err;
+	}
+}
+
+async function connect(connectionInfo) {
+	const resolvedConnectionInfo = resolveConnectionInfo(connectionInfo);
+
+	if (resolvedConnectionInfo.ssh) {
+		if (isVCoreConnection(resolvedConnectionInfo)) {
+			throw new Error('SSH tunnels are not supported for vCore clusters, their mongodb+srv address cannot be forwarded through a single port');
+		}
+
+		return connectThroughSshTunnel(resolvedConnectionInfo);
+	}
+
+	const params = generateConnectionParams(resolvedConnectionInfo);
 
 	return MongoClient.connect(params.url, params.options);
 }
 
 module.exports = {
 	connect,
+	getTunneledConnectionParams,
+	parseConnectionString,
+	resolveConnectionInfo,
+	isReadOnlyConnection,
+	isVCoreConnection,
 };
@@ -0,0 +1,152 @@
+const bson = require('bson');
+const { retryThrottled } = require('./throttlingHelper');
+
+const PAGE_SIZE = 1000;
+const RANDOM_SAMPLING_ROUNDS = 3;
+const RANDOM_SAMPLING = 'random';
+const PAGED_SAMPLING = 'paged';
+const UNSUPPORTED_SAMPLE_ERROR_CODES = [115, 238, 40324];
+
+const reviveExtendedJson = (key, value) => {
+	if (!value || typeof value !== 'object') {
+		return value;
+	}
+
+	if (typeof value.$date === 'string' || typeof value.$date === 'number') {
+		return new Date(value.$date);
+	}
+
+	if (typeof value.$oid === 'string') {
+		return new bson.ObjectID(value.$oid);
+	}
+
+	return value;
+};
+
+const parseCriteria = (criteria, name) => {
+	if (!criteria || !criteria.trim()) {
+		return {};
+	}
+
+	try {
+		const result = JSON.parse(criteria, reviveExtendedJson);
+
+		if (!result || typeof result !== 'object' || Array.isArray(result)) {
+			throw new Error('it must be a JSON object');
+		}
+
+		return result;
+	} catch (err) {
+		throw new Error(`Sampling ${name} is not valid: ${err.message}`);
+	}
+};
+
+const getSamplingOptions = (connectionInfo) => {
+	return {
+		method: connectionInfo.samplingMethod === PAGED_SAMPLING ? PAGED_SAMPLING : RANDOM_SAMPLING,
+		filter: parseCriteria(connectionInfo.queryCriteria, 'query filter'),
+		sort: parseCriteria(connectionInfo.sortCriteria, 'sort'),
+	};
+};
+
+const getDocumentKey = (document) => {
+	const id = document._id;
+
+	if (id && typeof id === 'object' && typeof id.toHexString !== 'function') {
+		return JSON.stringify(id);
+	}
+
+	return String(id);
+};
+
+const addUniqueDocuments = (documents, keys, newDocuments) => {
+	return newDocuments.reduce((addedCount, document) => {
+		const key = getDocumentKey(document);
+
+		if (keys.has(key)) {
+			return addedCount;
+		}
+
+		keys.add(key);
+		documents.push(document);
+
+		return addedCount + 1;
+	}, 0);
+};
+
+const getSortedDocuments = (collection, size, { filter, sort }) => {
+	return collection.find(filter).sort(sort).limit(size).batchSize(PAGE_SIZE).toArray();
+};
+
+const getRandomDocuments = async (collection, size, { filter }) => {
+	const documents = [];
+	const keys = new Set();
+
+	for (let round = 0; round < RANDOM_SAMPLING_ROUNDS && documents.length < size; round++) {
+		const pipeline = [
+			...(Object.keys(filter).length ? [{ $match: filter }] : []),
+			{ $sample: { size: size - documents.length } },
+		];
+		const sample = await collection.aggregate(pipeline, { cursor: { batchSize: PAGE_SIZE } }).toArray();
+
+		if (addUniqueDocuments(documents, keys, sample) === 0) {
+			break;
+		}
+	}
+
+	return documents;
+};
+
+const getPagedDocuments = async (collection, size, { filter }) => {
+	const documents = [];
+	const keys = new Set();
+	let lastId;
+
+	while (documents.length < size) {
+		const query = lastId === undefined ? filter : { $and: [filter, { _id: { $gt: lastId } }] };
+		const page = await collection.find(query).sort({ _id: 1 }).limit(Math.min(PAGE_SIZE, size - documents.length)).toArray();
+
+		if (page.length === 0) {
+			break;
+		}
+
+		addUniqueDocuments(documents, keys, page);
+		lastId = page[page.length - 1]._id;
+	}
+
+	return documents;
+};
+
+const isSampleUnsupportedError = (error) => {
+	return UNSUPPORTED_SAMPLE_ERROR_CODES.includes(error?.code)
+		|| /not supported|unrecognized pipeline stage/i.test(error?.errmsg || error?.message || '');
+};
+
+const getSampleDocuments = async (collection, size, samplingOptions, logger) => {
+	const operationName = `Sampling ${collection.collectionName}`;
+
+	if (Object.keys(samplingOptions.sort).length) {
+		return retryThrottled(() => getSortedDocuments(collection, size, samplingOptions), logger, operationName);
+	}
+
+	if (samplingOptions.method === PAGED_SAMPLING) {
+		return retryThrottled(() => getPagedDocuments(collection, size, samplingOptions), logger, operationName);
+	}
+
+	try {
+		return await retryThrottled(() => getRandomDocuments(collection, size, samplingOptions), logger, operationName);
+	} catch (err) {
+		if (!isSampleUnsupportedError(err)) {
+			throw err;
+		}
+
+		logger.log('error', { message: err.message, stack: err.stack }, `Random sampling of ${collection.collectionName} is not supported, paging over _id instead`);
+
+		return retryThrottled(() => getPagedDocuments(collection, size, samplingOptions), logger, operationName);
+	}
+};
+
+module.exports = {
+	getSamplingOptions,
+	getSampleDocuments,
+};
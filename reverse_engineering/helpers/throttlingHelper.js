@@ -0,0 +1,64 @@
+const TOO_MANY_REQUESTS_CODE = 16500;
+const HTTP_TOO_MANY_REQUESTS_CODE = 429;
+const DEFAULT_MAX_RETRIES = 10;
+const DEFAULT_BASE_DELAY_MS = 100;
+const MAX_DELAY_MS = 30000;
+
+const isThrottlingError = (error) => {
+	if (!error) {
+		return false;
+	}
+
+	return error.code === TOO_MANY_REQUESTS_CODE
+		|| error.code === HTTP_TOO_MANY_REQUESTS_CODE
+		|| /TooManyRequests|Request rate is large/i.test(error.errmsg || error.message || '');
+};
+
+const getRetryAfterMs = (error, attempt, baseDelayMs = DEFAULT_BASE_DELAY_MS) => {
+	const retryAfter = /RetryAfterMs=(\d+)/i.exec(error?.errmsg || error?.message || '');
+
+	if (retryAfter) {
+		return Number(retryAfter[1]);
+	}
+
+	return Math.min(baseDelayMs * 2 ** attempt, MAX_DELAY_MS);
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const withRetry = async (operation, { maxRetries = DEFAULT_MAX_RETRIES, baseDelayMs, onRetry } = {}) => {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await operation();
+		} catch (error) {
+			if (!isThrottlingError(error) || attempt >= maxRetries) {
+				throw error;
+			}
+
+			const retryAfterMs = getRetryAfterMs(error, attempt, baseDelayMs);
+
+			if (typeof onRetry === 'function') {
+				onRetry(error, attempt + 1, retryAfterMs);
+			}
+
+			await delay(retryAfterMs);
+		}
+	}
+};
+
+const retryThrottled = (operation, logger, operationName) => {
+	return withRetry(operation, {
+		onRetry(err, attempt, retryAfterMs) {
+			logger.log('info', { message: `${operationName} is throttled, retry ${attempt} in ${retryAfterMs} ms`, error: err.message }, 'Request rate is large');
+		},
+	});
+};
+
+module.exports = {
+	DEFAULT_MAX_RETRIES,
+	isThrottlingError,
+	getRetryAfterMs,
+	delay,
+	withRetry,
+	retryThrottled,
+};
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const applyToInstanceHelper = require('../../forward_engineering/helpers/applyToInstanceHelper');
+const connectionHelper = require('../../reverse_engineering/helpers/connectionHelper');
+
+const logger = { log() {}, progress() {}, clear() {} };
+
+const applyToInstance = (data) => new Promise(resolve => {
+	applyToInstanceHelper.applyToInstance({
+		containerData: [{ dbId: 'shop', name: 'orders' }],
+		script: '',
+		...data,
+	}, logger, resolve);
+});
+
+const assertNotApplicable = async (keyword, scriptName) => {
+	const error = await applyToInstance({ targetScriptOptions: { keyword } });
+
+	assert.strictEqual(error.message, `${scriptName} cannot be applied to the instance. Please, select the MongoDB script.`);
+};
+
+test('applyToInstance rejects scripts that cannot run in the MongoDB shell', async () => {
+	await assertNotApplicable('arm', 'ARM templates');
+	await assertNotApplicable('bicep', 'Bicep templates');
+	await assertNotApplicable('terraform', 'Terraform configurations');
+	await assertNotApplicable('azureCli', 'Azure CLI scripts');
+	await assertNotApplicable('powershell', 'PowerShell scripts');
+	await assertNotApplicable('nodejs', 'Node.js driver scripts');
+});
+
+test('applyToInstance rejects a read-only key unless the dry run option is selected', async () => {
+	const error = await applyToInstance({ keyType: 'readOnly' });
+
+	assert.match(error.message, /cannot be applied with a read-only key/);
+});
+
+test('applyToInstance fails when a sample file cannot be read', async (t) => {
+	const insertedDocuments = [];
+	const connection = {
+		db: () => ({
+			collection: () => ({
+				insertMany: async (documents) => {
+					insertedDocuments.push(...documents);
+
+					return { insertedCount: documents.length };
+				},
+			}),
+		}),
+		close() {},
+	};
+	t.mock.method(connectionHelper, 'connect', async () => connection);
+
+	const error = await applyToInstance({
+		entitiesData: {
+			missing: { filePath: path.join(__dirname, 'missing.ndjson') },
+		},
+	});
+
+	assert.strictEqual(error.message, '1 sample file(s) are not read');
+	assert.deepStrictEqual(insertedDocuments, []);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const armTemplateHelper = require('../../forward_engineering/helpers/armTemplateHelper');
+
+const getData = ({ containerProperties = {}, indexes = [], modelProperties = {} } = {}) => ({
+	containerData: [{ dbId: 'shop', name: 'orders', ...containerProperties }, { indexes }],
+	modelData: [{ name: 'My Account', dbVersion: '5.0.0', ...modelProperties }],
+});
+
+const getResources = (data) => JSON.parse(armTemplateHelper.getArmTemplate(data)).resources;
+
+const getCollectionResource = (data) => getResources(data)[2];
+
+test('getArmTemplate declares the account, database and collection', () => {
+	const [account, database, collection] = getResources(getData({ containerProperties: { throughput: 400 } }));
+
+	assert.strictEqual(account.kind, 'MongoDB');
+	assert.strictEqual(database.properties.resource.id, 'shop');
+	assert.strictEqual(collection.properties.resource.id, 'orders');
+	assert.deepStrictEqual(collection.properties.options, { throughput: 400 });
+});
+
+test('getArmTemplate and getBicepTemplate require a database id', () => {
+	const data = getData({ containerProperties: { dbId: '' } });
+
+	assert.throws(() => armTemplateHelper.getArmTemplate(data), /Database Id is required/);
+	assert.throws(() => armTemplateHelper.getBicepTemplate(data), /Database Id is required/);
+});
+
+test('getArmTemplate escapes quotes in template expressions', () => {
+	const [, database, collection] = getResources(getData({ containerProperties: { dbId: "bob's", name: "it's" } }));
+
+	assert.strictEqual(database.name, "[format('{0}/{1}', parameters('accountName'), 'bob''s')]");
+	assert.strictEqual(collection.name, "[format('{0}/{1}/{2}', parameters('accountName'), 'bob''s', 'it''s')]");
+	assert.strictEqual(collection.dependsOn[0], "[resourceId('Microsoft.DocumentDB/databaseAccounts/mongodbDatabases', parameters('accountName'), 'bob''s')]");
+});
+
+test('getArmTemplate declares a single hashed shard key field', () => {
+	const collection = getCollectionResource(getData({
+		containerProperties: { shardKey: [{ name: 'tenantId', type: 'hashed' }, { name: 'orderId', type: 'ascending' }] },
+	}));
+
+	assert.deepStrictEqual(collection.properties.resource.shardKey, { tenantId: 'Hash' });
+	assert.match(collection.comments, /does not provision compound shard keys, only "tenantId" is used/);
+});
+
+test('getArmTemplate warns about indexes that cannot be provisioned', () => {
+	const collection = getCollectionResource(getData({
+		indexes: [
+			{ name: 'byDate', indexKey: [{ name: 'createdAt', type: 'descending' }] },
+			{ name: 'search', indexKey: [{ name: 'title', type: 'text' }] },
+			{ name: 'embedding', indexType: 'Vector', indexKey: [{ name: 'vector' }], vectorIndexKind: 'vector-diskann', dimensions: 3, similarity: 'COS' },
+			{ name: 'bySku', indexKey: [{ name: 'sku', type: 'ascending' }], sparse: true },
+		],
+	}));
+
+	assert.deepStrictEqual(collection.properties.resource.indexes, [
+		{ key: { keys: ['_id'] } },
+		{ key: { keys: ['sku'] } },
+	]);
+	assert.deepStrictEqual(collection.comments.split('\n'), [
+		'Index "byDate" is skipped, Azure Resource Manager only provisions ascending index keys, not "createdAt".',
+		'Index "search" is skipped, Azure Resource Manager only provisions ascending index keys, not "title".',
+		'Index "embedding" is a vector index and cannot be provisioned by Azure Resource Manager, create it with the MongoDB script.',
+		'Index "bySku" is provisioned without the options "sparse", Azure Resource Manager does not support them.',
+	]);
+});
+
+test('getArmTemplate keeps unique and TTL index options', () => {
+	const collection = getCollectionResource(getData({
+		containerProperties: { uniqueKey: [{ attributePath: [{ name: 'sku' }] }], TTL: 'On', TTLseconds: 60 },
+	}));
+
+	assert.deepStrictEqual(collection.properties.resource.indexes, [
+		{ key: { keys: ['_id'] } },
+		{ key: { keys: ['sku'] }, options: { unique: true } },
+		{ key: { keys: ['_ts'] }, options: { expireAfterSeconds: 60 } },
+	]);
+	assert.strictEqual(collection.comments, undefined);
+});
+
+test('getArmTemplate omits throughput on serverless accounts', () => {
+	const collection = getCollectionResource(getData({
+		containerProperties: { throughput: 400 },
+		modelProperties: { enableServerless: true },
+	}));
+
+	assert.deepStrictEqual(collection.properties.options, {});
+});
+
+test('getArmTemplate rejects vCore clusters', () => {
+	assert.throws(() => armTemplateHelper.getArmTemplate(getData({ modelProperties: { deploymentType: 'vCore' } })), /vCore clusters are not supported/);
+});
+
+test('getBicepTemplate writes the collection warnings as comments', () => {
+	const bicep = armTemplateHelper.getBicepTemplate(getData({
+		containerProperties: { dbId: "bob's", shardKey: [{ name: 'a', type: 'hashed' }, { name: 'b', type: 'hashed' }] },
+	}));
+
+	assert.match(bicep, /\/\/ Azure Resource Manager does not provision compound shard keys, only "a" is used as the shard key\.\nresource collection_orders/);
+	assert.match(bicep, /name: 'bob\\'s'/);
+	assert.match(bicep, /shardKey: \{\n\s+a: 'Hash'\n\s+\}/);
+});
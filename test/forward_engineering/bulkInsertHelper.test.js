@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBulkInserter } = require('../../forward_engineering/helpers/bulkInsertHelper');
+
+const logger = { error() {} };
+
+const getThrottledError = (index) => ({ index, code: 16500, errmsg: 'Request rate is large. RetryAfterMs=1' });
+
+const getBulkWriteError = (writeErrors) => Object.assign(new Error('BulkWriteError'), {
+	result: { getWriteErrors: () => writeErrors },
+});
+
+const createCollection = (responses = []) => {
+	const calls = [];
+
+	return {
+		calls,
+		async insertMany(documents, options) {
+			calls.push({ documents, options });
+			const response = responses.shift();
+
+			if (response) {
+				throw response;
+			}
+
+			return { insertedCount: documents.length };
+		},
+	};
+};
+
+test('createBulkInserter inserts unordered batches of the configured size', async () => {
+	const collection = createCollection();
+	const inserter = createBulkInserter({ collection, batchSize: 2, concurrency: 1, logger });
+
+	for (const id of [1, 2, 3, 4, 5]) {
+		await inserter.add({ _id: id });
+	}
+
+	assert.deepStrictEqual(await inserter.flush(), { inserted: 5, failed: 0 });
+	assert.deepStrictEqual(collection.calls.map(call => call.documents.length), [2, 2, 1]);
+	assert.ok(collection.calls.every(call => call.options.ordered === false));
+});
+
+test('createBulkInserter retries only the throttled documents of a partial bulk write error', async () => {
+	const collection = createCollection([
+		getBulkWriteError([getThrottledError(1), { index: 2, code: 11000, errmsg: 'duplicate key' }]),
+	]);
+	const inserter = createBulkInserter({ collection, batchSize: 3, logger });
+
+	await inserter.add({ _id: 1 });
+	await inserter.add({ _id: 2 });
+	await inserter.add({ _id: 3 });
+
+	assert.deepStrictEqual(await inserter.flush(), { inserted: 2, failed: 1 });
+	assert.deepStrictEqual(collection.calls[1].documents, [{ _id: 2 }]);
+});
+
+test('createBulkInserter reads write errors from the error itself', async () => {
+	const collection = createCollection([{ message: 'BulkWriteError', writeErrors: [getThrottledError(0)] }]);
+	const inserter = createBulkInserter({ collection, logger });
+
+	await inserter.add({ _id: 1 });
+	await inserter.add({ _id: 2 });
+
+	assert.deepStrictEqual(await inserter.flush(), { inserted: 2, failed: 0 });
+	assert.deepStrictEqual(collection.calls[1].documents, [{ _id: 1 }]);
+});
+
+test('createBulkInserter retries a throttled batch', async () => {
+	const collection = createCollection([getThrottledError()]);
+	const inserter = createBulkInserter({ collection, logger });
+
+	await inserter.add({ _id: 1 });
+
+	assert.deepStrictEqual(await inserter.flush(), { inserted: 1, failed: 0 });
+	assert.strictEqual(collection.calls.length, 2);
+});
+
+test('createBulkInserter counts a batch that fails for another reason as failed', async () => {
+	const errors = [];
+	const collection = createCollection([new Error('Connection closed')]);
+	const inserter = createBulkInserter({ collection, logger: { error: (error, message) => errors.push(message) } });
+
+	await inserter.add({ _id: 1 });
+	await inserter.add({ _id: 2 });
+
+	assert.deepStrictEqual(await inserter.flush(), { inserted: 0, failed: 2 });
+	assert.strictEqual(collection.calls.length, 1);
+	assert.deepStrictEqual(errors, ['2 document(s) are not inserted. Reason: Connection closed']);
+});
+
+test('createBulkInserter keeps at most the configured number of batches running', async () => {
+	let running = 0;
+	let maxRunning = 0;
+	const collection = {
+		async insertMany(documents) {
+			running++;
+			maxRunning = Math.max(maxRunning, running);
+			await new Promise(resolve => setTimeout(resolve, 5));
+			running--;
+
+			return { insertedCount: documents.length };
+		},
+	};
+	const progress = [];
+	const inserter = createBulkInserter({
+		collection,
+		batchSize: 1,
+		concurrency: 2,
+		logger,
+		onProgress: summary => progress.push(summary.inserted),
+	});
+
+	for (let id = 0; id < 6; id++) {
+		await inserter.add({ _id: id });
+	}
+
+	assert.deepStrictEqual(await inserter.flush(), { inserted: 6, failed: 0 });
+	assert.strictEqual(maxRunning, 2);
+	assert.deepStrictEqual(progress, [1, 2, 3, 4, 5, 6]);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dryRunHelper = require('../../forward_engineering/helpers/dryRunHelper');
+
+const { STATUS } = dryRunHelper;
+
+const createState = (collections = {}) => ({
+	modelData: [{ dbVersion: '4.2.0' }],
+	getDatabase: async () => ({ exists: true, collections }),
+	getCollection: async (dbName, collectionName) => {
+		if (!collections[collectionName]) {
+			collections[collectionName] = { exists: false, shardKey: [], indexes: [], documentsCount: 0 };
+		}
+
+		return collections[collectionName];
+	},
+});
+
+const getOrdersState = (indexes = [], collection = {}) => createState({
+	orders: { exists: true, shardKey: [], indexes, documentsCount: 0, ...collection },
+});
+
+const createIndex = (key, options) => ({ type: 'createIndex', dbName: 'shop', collectionName: 'orders', key, options });
+
+const dropIndex = (indexName) => ({ type: 'dropIndex', dbName: 'shop', collectionName: 'orders', indexName });
+
+test('planCommand creates a missing index', async () => {
+	const entry = await dryRunHelper.planCommand(getOrdersState(), createIndex({ sku: 1 }, { name: 'bySku' }));
+
+	assert.deepStrictEqual(entry, { status: STATUS.CREATE, message: 'index "bySku" on shop.orders' });
+});
+
+test('planCommand skips an index with the same name, key and options', async () => {
+	const state = getOrdersState([{ name: 'byDate', key: { createdAt: 1 }, expireAfterSeconds: 60, sparse: true }]);
+	const entry = await dryRunHelper.planCommand(state, createIndex({ createdAt: 1 }, { name: 'byDate', expireAfterSeconds: 60, sparse: true }));
+
+	assert.deepStrictEqual(entry, { status: STATUS.SKIP, message: 'index "byDate" on shop.orders already exists' });
+});
+
+test('planCommand skips an index it has already planned to create', async () => {
+	const state = getOrdersState();
+	const command = createIndex({ sku: 1 }, { name: 'bySku', partialFilterExpression: { sku: { $exists: true } } });
+
+	await dryRunHelper.planCommand(state, command);
+
+	assert.strictEqual((await dryRunHelper.planCommand(state, command)).status, STATUS.SKIP);
+});
+
+test('planCommand reports a conflict when the options of an existing index differ', async () => {
+	const existingIndex = { name: 'bySku', key: { sku: 1 }, unique: true };
+	const changedOptions = [
+		{ unique: true, expireAfterSeconds: 60 },
+		{ unique: true, sparse: true },
+		{ unique: true, partialFilterExpression: { sku: { $exists: true } } },
+		{ unique: true, collation: { locale: 'fr' } },
+		{},
+	];
+
+	for (const options of changedOptions) {
+		const entry = await dryRunHelper.planCommand(getOrdersState([existingIndex]), createIndex({ sku: 1 }, { name: 'bySku', ...options }));
+
+		assert.deepStrictEqual(entry, {
+			status: STATUS.CONFLICT,
+			message: 'index "bySku" on shop.orders already exists with a different definition',
+		}, JSON.stringify(options));
+	}
+});
+
+test('planCommand reports a conflict when the key of an existing index differs', async () => {
+	const entry = await dryRunHelper.planCommand(
+		getOrdersState([{ name: 'bySku', key: { sku: -1 } }]),
+		createIndex({ sku: 1 }, { name: 'bySku' }),
+	);
+
+	assert.strictEqual(entry.status, STATUS.CONFLICT);
+});
+
+test('planCommand reports a conflict when another index has the same key', async () => {
+	const entry = await dryRunHelper.planCommand(
+		getOrdersState([{ name: 'sku_1', key: { sku: 1 } }]),
+		createIndex({ sku: 1 }, { name: 'bySku' }),
+	);
+
+	assert.deepStrictEqual(entry, {
+		status: STATUS.CONFLICT,
+		message: 'index "bySku" on shop.orders has the same key as the existing index "sku_1"',
+	});
+});
+
+test('planCommand reports a conflict for a unique index without the shard key', async () => {
+	const entry = await dryRunHelper.planCommand(
+		getOrdersState([], { shardKey: ['tenantId'] }),
+		createIndex({ sku: 1 }, { name: 'bySku', unique: true }),
+	);
+
+	assert.strictEqual(entry.status, STATUS.CONFLICT);
+	assert.match(entry.message, /does not include the shard key "tenantId"/);
+});
+
+test('planCommand drops an existing index', async () => {
+	const state = getOrdersState([{ name: 'bySku', key: { sku: 1 } }]);
+
+	assert.deepStrictEqual(await dryRunHelper.planCommand(state, dropIndex('bySku')), {
+		status: STATUS.DROP,
+		message: 'index "bySku" on shop.orders',
+	});
+	assert.strictEqual((await dryRunHelper.planCommand(state, dropIndex('bySku'))).status, STATUS.SKIP);
+});
+
+test('planCommand skips dropping a missing index', async () => {
+	assert.deepStrictEqual(await dryRunHelper.planCommand(getOrdersState(), dropIndex('bySku')), {
+		status: STATUS.SKIP,
+		message: 'index "bySku" on shop.orders does not exist',
+	});
+});
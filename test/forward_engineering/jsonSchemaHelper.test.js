@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jsonSchemaHelper = require('../../forward_engineering/helpers/jsonSchemaHelper');
+
+const jsonSchema = {
+	type: 'object',
+	properties: {
+		_id: { type: 'objectId', required: true },
+		name: { type: 'string', minLength: '1' },
+		amount: { type: 'numeric', mode: 'integer64' },
+		createdAt: { type: 'date' },
+		tags: { type: 'array', items: { type: 'string' } },
+	},
+};
+
+test('getValidator converts the model schema to a $jsonSchema validator', () => {
+	assert.deepStrictEqual(jsonSchemaHelper.getValidator({ jsonSchema: JSON.stringify(jsonSchema) }), {
+		$jsonSchema: {
+			bsonType: 'object',
+			properties: {
+				_id: { bsonType: 'objectId' },
+				name: { bsonType: 'string', minLength: 1 },
+				amount: { bsonType: 'long' },
+				createdAt: { bsonType: 'date' },
+				tags: { bsonType: 'array', items: { bsonType: 'string' } },
+			},
+			required: ['_id'],
+		},
+	});
+});
+
+test('getValidator combines the schemas of several entities with anyOf', () => {
+	const validator = jsonSchemaHelper.getValidator({
+		entities: ['a', 'b'],
+		jsonSchema: { a: jsonSchema, b: { properties: { kind: { type: 'string' } } } },
+	});
+
+	assert.strictEqual(validator.$jsonSchema.anyOf.length, 2);
+});
+
+test('getValidator returns nothing without properties', () => {
+	assert.strictEqual(jsonSchemaHelper.getValidator({ jsonSchema: 'not json' }), undefined);
+});
+
+test('getStandaloneJsonSchemas keeps the JSON type of BSON specific types', () => {
+	const [schema] = jsonSchemaHelper.getStandaloneJsonSchemas({ jsonSchema });
+
+	assert.strictEqual(schema.$schema, 'http://json-schema.org/draft-04/schema#');
+	assert.deepStrictEqual(schema.properties._id, { type: 'string', pattern: '^[a-fA-F0-9]{24}$' });
+	assert.deepStrictEqual(schema.properties.amount, { type: 'integer' });
+	assert.deepStrictEqual(schema.properties.createdAt, { type: 'string', format: 'date-time' });
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readNdJsonByChunks = require('../../forward_engineering/helpers/ndJsonHelper');
+
+const log = { log() {} };
+
+const createFile = (t, lines) => {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ndjson-'));
+	const filePath = path.join(directory, 'samples.ndjson');
+
+	fs.writeFileSync(filePath, lines.join('\n'));
+	t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+	return filePath;
+};
+
+test('readNdJsonByChunks passes every line once in chunks of the configured size', async (t) => {
+	const lines = Array.from({ length: 2500 }, (value, index) => JSON.stringify({ index }));
+	const filePath = createFile(t, lines);
+	const chunks = [];
+
+	const count = await readNdJsonByChunks(filePath, {
+		chunkSize: 100,
+		log,
+		async onChunk(documents) {
+			chunks.push(documents);
+			await new Promise(resolve => setTimeout(resolve, 1));
+		},
+	});
+
+	assert.strictEqual(count, lines.length);
+	assert.ok(chunks.every(chunk => chunk.length <= 100));
+	assert.deepStrictEqual(chunks.flat(), lines);
+});
+
+test('readNdJsonByChunks skips empty lines', async (t) => {
+	const filePath = createFile(t, ['{"a":1}', '', '{"a":2}']);
+	const chunks = [];
+
+	await readNdJsonByChunks(filePath, { log, onChunk: documents => chunks.push(documents) });
+
+	assert.deepStrictEqual(chunks, [['{"a":1}', '{"a":2}']]);
+});
+
+test('readNdJsonByChunks rejects when the chunk handler fails', async (t) => {
+	const filePath = createFile(t, ['{"a":1}', '{"a":2}']);
+
+	await assert.rejects(
+		readNdJsonByChunks(filePath, { chunkSize: 1, log, onChunk: () => Promise.reject(new Error('insert failed')) }),
+		/insert failed/,
+	);
+});
+
+test('readNdJsonByChunks rejects with a file error for a missing file', async () => {
+	await assert.rejects(
+		readNdJsonByChunks(path.join(os.tmpdir(), 'missing-samples.ndjson'), { log, onChunk() {} }),
+		error => error.type === 'file',
+	);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const provisioningScriptHelper = require('../../forward_engineering/helpers/provisioningScriptHelper');
+
+const getData = ({ containerProperties = {}, indexes = [], modelProperties = {} } = {}) => ({
+	containerData: [{ dbId: 'shop', name: 'orders', ...containerProperties }, { indexes }],
+	modelData: [{ name: 'My Account', dbVersion: '4.2.0', ...modelProperties }],
+});
+
+test('provisioning scripts require a database id', () => {
+	const data = getData({ containerProperties: { dbId: '' } });
+
+	assert.throws(() => provisioningScriptHelper.getAzureCliScript(data), /Database Id is required/);
+	assert.throws(() => provisioningScriptHelper.getPowerShellScript(data), /Database Id is required/);
+});
+
+test('getAzureCliScript lets the resource group be overridden and checks it is set', () => {
+	const script = provisioningScriptHelper.getAzureCliScript(getData({ modelProperties: { resGrp: "team's group" } }));
+
+	assert.match(script, /^RESOURCE_GROUP=\$\{RESOURCE_GROUP:-'team'\\''s group'\}$/m);
+	assert.match(script, /^: "\$\{RESOURCE_GROUP:\?.+\}"$/m);
+});
+
+test('getPowerShellScript takes the resource group as a parameter and checks it is set', () => {
+	const script = provisioningScriptHelper.getPowerShellScript(getData());
+
+	assert.ok(script.startsWith("param(\n\t[string]$resourceGroupName = ''\n)"));
+	assert.match(script, /if \(-not \$resourceGroupName\) \{\n\tthrow '.+'\n\}/);
+});
+
+test('provisioning scripts use a single shard key field and warn about the others', () => {
+	const data = getData({
+		containerProperties: { shardKey: [{ name: 'tenantId', type: 'hashed' }, { name: 'orderId', type: 'ascending' }] },
+	});
+	const azureCliScript = provisioningScriptHelper.getAzureCliScript(data);
+	const powerShellScript = provisioningScriptHelper.getPowerShellScript(data);
+
+	assert.match(azureCliScript, /--shard 'tenantId'/);
+	assert.match(azureCliScript, /^# .*only "tenantId" is used as the shard key\.$/m);
+	assert.match(powerShellScript, /-Shard 'tenantId'/);
+	assert.match(powerShellScript, /^# .*only "tenantId" is used as the shard key\.$/m);
+});
+
+test('provisioning scripts warn about indexes that cannot be provisioned', () => {
+	const data = getData({
+		indexes: [
+			{ name: 'byDate', indexKey: [{ name: 'createdAt', type: 'descending' }] },
+			{ name: 'bySku', indexKey: [{ name: 'sku', type: 'ascending' }] },
+		],
+	});
+	const azureCliScript = provisioningScriptHelper.getAzureCliScript(data);
+	const powerShellScript = provisioningScriptHelper.getPowerShellScript(data);
+
+	assert.match(azureCliScript, /^# Index "byDate" is skipped/m);
+	assert.match(azureCliScript, /--idx '\[\{"key":\{"keys":\["_id"\]\}\},\{"key":\{"keys":\["sku"\]\}\}\]'/);
+	assert.match(powerShellScript, /^# Index "byDate" is skipped/m);
+	assert.doesNotMatch(powerShellScript, /createdAt'/);
+	assert.match(powerShellScript, /New-AzCosmosDBMongoDBIndex -Key 'sku'/);
+});
@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const scriptHelper = require('../../forward_engineering/helpers/scriptHelper');
+
+const getData = (containerProperties = {}) => ({
+	containerData: [{ dbId: 'shop', name: 'orders', ...containerProperties }, {}],
+	modelData: [{ dbVersion: '4.0.0' }],
+});
+
+test('getThroughputSettings returns manual throughput', () => {
+	assert.deepStrictEqual(scriptHelper.getThroughputSettings({ throughput: '400' }), { offerThroughput: 400 });
+});
+
+test('getThroughputSettings returns autoscale throughput', () => {
+	assert.deepStrictEqual(
+		scriptHelper.getThroughputSettings({ throughput: 4000, autopilot: true }),
+		{ autoScaleSettings: { maxThroughput: 4000 } },
+	);
+});
+
+test('getThroughputSettings ignores missing throughput', () => {
+	assert.deepStrictEqual(scriptHelper.getThroughputSettings({ autopilot: true }), {});
+});
+
+test('getScript creates the collection with its throughput', () => {
+	const script = scriptHelper.getScript(getData({ throughput: 400 }));
+
+	assert.match(script, /"customAction": "CreateCollection"/);
+	assert.match(script, /"offerThroughput": 400/);
+});
+
+test('getScript does not create the collection without throughput', () => {
+	assert.doesNotMatch(scriptHelper.getScript(getData()), /customAction/);
+});
+
+const getClusterData = (containerProperties = {}) => ({
+	containerData: [{ dbId: 'shop', name: 'orders', ...containerProperties }, {}],
+	modelData: [{ dbVersion: '4.2.0', deploymentType: 'vCore' }],
+});
+
+test('getScript does not create a _ts TTL index on vCore', () => {
+	const script = scriptHelper.getScript(getClusterData({ TTL: 'On', TTLseconds: 60 }));
+
+	assert.doesNotMatch(script, /createIndex/);
+	assert.match(script, /has no "_ts" field, the TTL index of collection "orders" is skipped/);
+});
+
+test('getScript creates a TTL index on the TTL key on vCore', () => {
+	const script = scriptHelper.getScript(getClusterData({ TTL: 'On', TTLseconds: 60, TTLkey: [{ name: 'createdAt' }] }));
+
+	assert.match(script, /"createdAt": 1/);
+	assert.doesNotMatch(script, /is skipped/);
+});
+
+test('getScript keeps the _ts TTL index on request unit based accounts', () => {
+	assert.match(scriptHelper.getScript(getData({ TTL: 'On', TTLseconds: 60 })), /"_ts": 1/);
+});
+
+const getDatabaseData = (database) => ({
+	containerData: [{ dbId: 'shop', name: 'orders' }, {}],
+	modelData: [{ dbVersion: '4.0.0', databases: [database] }],
+});
+
+test('getScript creates the database with its shared throughput', () => {
+	const script = scriptHelper.getScript(getDatabaseData({ databaseId: 'shop', throughput: 4000, autopilot: true }));
+
+	assert.match(script, /db\.runCommand\(\{\s*"customAction": "CreateDatabase",\s*"autoScaleSettings": \{\s*"maxThroughput": 4000\s*\}\s*\}\);/);
+	assert.ok(script.indexOf('CreateDatabase') > script.indexOf('use shop;'));
+});
+
+test('getScript ignores the throughput of other databases', () => {
+	assert.doesNotMatch(scriptHelper.getScript(getDatabaseData({ databaseId: 'other', throughput: 400 })), /CreateDatabase/);
+});
+
+const getIndexData = (indexes) => ({
+	containerData: [{ dbId: 'shop', name: 'orders' }, { indexes }],
+	modelData: [{ dbVersion: '7.0.0' }],
+});
+
+test('getScript creates a wildcard index on the sub-fields of the indexed field', () => {
+	const script = scriptHelper.getScript(getIndexData([
+		{ name: 'wc', indexType: 'Wildcard', indexKey: [{ name: 'attrs', type: 'ascending' }] },
+	]));
+
+	assert.match(script, /createIndex\(\{\s*"attrs\.\$\*\*": 1\s*\}, \{\s*"name": "wc"\s*\}\)/);
+});
+
+test('getScript creates a root wildcard index with its projection', () => {
+	const script = scriptHelper.getScript(getIndexData([
+		{ name: 'root', indexType: 'Wildcard', indexKey: [], wildcardProjection: '{ "attrs": 1 }' },
+	]));
+
+	assert.match(script, /createIndex\(\{\s*"\$\*\*": 1\s*\}, \{\s*"name": "root",\s*"wildcardProjection": \{\s*"attrs": 1\s*\}\s*\}\)/);
+});
+
+test('getScript reports an index option that is not valid JSON', () => {
+	assert.throws(
+		() => scriptHelper.getScript(getIndexData([
+			{ name: 'bySku', indexKey: [{ name: 'sku', type: 'ascending' }], partialFilterExpression: '{ sku: ' },
+		])),
+		/Index "bySku": partialFilterExpression is not a valid JSON document/,
+	);
+});
+
+const getShardKeyData = (dbVersion, shardKey, containerProperties = {}) => ({
+	containerData: [{ dbId: 'shop', name: 'orders', shardKey, ...containerProperties }, {}],
+	modelData: [{ dbVersion }],
+});
+
+const tenantAndOrderShardKey = [{ name: 'tenantId', type: 'hashed' }, { name: 'orderId', type: 'ascending' }];
+
+test('getShardKey only hashes a single field on 3.2', () => {
+	assert.deepStrictEqual(scriptHelper.getShardKey(getShardKeyData('3.2.0', tenantAndOrderShardKey.slice().reverse())), {
+		fields: [{ name: 'orderId', type: 'hashed' }],
+		warnings: [
+			'// Cosmos DB for MongoDB 3.2.0 does not support compound shard keys, only "orderId" is used as the shard key.',
+			'// Cosmos DB for MongoDB 3.2.0 does not support ascending shard keys, "orderId" is hashed instead.',
+		],
+	});
+});
+
+test('getShardKey keeps a single ascending field from 3.6 to 4.2', () => {
+	['3.6.0', '4.0.0', '4.2.0'].forEach(dbVersion => {
+		assert.deepStrictEqual(scriptHelper.getShardKey(getShardKeyData(dbVersion, [{ name: 'region', type: 'ascending' }])), {
+			fields: [{ name: 'region', type: 'ascending' }],
+			warnings: [],
+		}, dbVersion);
+		assert.deepStrictEqual(scriptHelper.getShardKey(getShardKeyData(dbVersion, tenantAndOrderShardKey)).fields, [
+			{ name: 'tenantId', type: 'hashed' },
+		], dbVersion);
+	});
+});
+
+test('getShardKey keeps compound shard keys from 5.0', () => {
+	['5.0.0', '6.0.0', '7.0.0'].forEach(dbVersion => {
+		assert.deepStrictEqual(scriptHelper.getShardKey(getShardKeyData(dbVersion, tenantAndOrderShardKey)), {
+			fields: tenantAndOrderShardKey,
+			warnings: [],
+		}, dbVersion);
+	});
+});
+
+test('getShardKey hashes shard key fields without a type', () => {
+	assert.deepStrictEqual(scriptHelper.getShardKey(getShardKeyData('5.0.0', [{ name: 'tenantId' }, {}])).fields, [
+		{ name: 'tenantId', type: 'hashed' },
+	]);
+});
+
+test('getScript shards the collection with a compound key on 5.0', () => {
+	const script = scriptHelper.getScript(getShardKeyData('5.0.0', tenantAndOrderShardKey));
+
+	assert.match(script, /use admin;\ndb\.runCommand\(\{ shardCollection: "shop\.orders", key: \{ "tenantId": "hashed", "orderId": 1 \}\}\);/);
+});
+
+test('getScript creates a collection with throughput and a single hashed shard key by custom action', () => {
+	const script = scriptHelper.getScript(getShardKeyData('4.0.0', [{ name: 'tenantId', type: 'hashed' }], { throughput: 400 }));
+
+	assert.match(script, /"customAction": "CreateCollection",\s*"collection": "orders",\s*"shardKey": "tenantId"/);
+	assert.doesNotMatch(script, /shardCollection/);
+});
+
+test('getScript shards the collection and then updates its throughput for ascending shard keys', () => {
+	const script = scriptHelper.getScript(getShardKeyData('4.0.0', [{ name: 'region', type: 'ascending' }], { throughput: 400 }));
+
+	assert.match(script, /shardCollection: "shop\.orders", key: \{ "region": 1 \}/);
+	assert.match(script, /"customAction": "UpdateCollection"/);
+});
+
+test('getScript shards vCore collections with sh.shardCollection', () => {
+	const script = scriptHelper.getScript(getClusterData({ shardKey: [{ name: 'tenantId', type: 'hashed' }] }));
+
+	assert.match(script, /sh\.shardCollection\("shop\.orders", \{ "tenantId": "hashed" \}\);/);
+	assert.doesNotMatch(script, /use admin;/);
+});
+
+const getVectorIndex = (options = {}) => ({
+	name: 'embedding',
+	indexType: 'Vector',
+	indexKey: [{ name: 'vector' }],
+	dimensions: 1536,
+	similarity: 'COS',
+	...options,
+});
+
+test('getScript creates vector indexes with createIndexes and their cosmosSearchOptions', () => {
+	const script = scriptHelper.getScript(getIndexData([getVectorIndex({ vectorIndexKind: 'vector-diskann', maxDegree: 32, lBuild: 50 })]));
+
+	assert.match(script, /db\.runCommand\(\{\s*"createIndexes": "orders",\s*"indexes": \[\s*\{\s*"name": "embedding",\s*"key": \{\s*"vector": "cosmosSearch"\s*\},\s*"cosmosSearchOptions": \{\s*"kind": "vector-diskann",\s*"dimensions": 1536,\s*"similarity": "COS",\s*"maxDegree": 32,\s*"lBuild": 50\s*\}\s*\}\s*\]\s*\}\);/);
+	assert.doesNotMatch(script, /may be rejected/);
+});
+
+test('getIndexDefinitions defaults vector indexes to HNSW and skips empty options', () => {
+	const [definition] = scriptHelper.getIndexDefinitions(
+		[{ dbId: 'shop', name: 'orders' }, { indexes: [getVectorIndex({ m: 16, efConstruction: '', numLists: null })] }],
+		[{ dbVersion: '4.2.0', deploymentType: 'vCore' }],
+	);
+
+	assert.deepStrictEqual(definition.options.cosmosSearchOptions, { kind: 'vector-hnsw', dimensions: 1536, similarity: 'COS', m: 16 });
+	assert.deepStrictEqual(definition.comments, []);
+});
+
+test('getScript warns about vector index kinds the version does not support', () => {
+	const script = scriptHelper.getScript(getIndexData([getVectorIndex({ vectorIndexKind: 'vector-ivf' })]));
+
+	assert.match(script, /\/\/ Cosmos DB for MongoDB 7\.0\.0 does not support vector-ivf indexes, the index "embedding" may be rejected\./);
+});
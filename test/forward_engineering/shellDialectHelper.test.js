@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const shellDialectHelper = require('../../forward_engineering/helpers/shellDialectHelper');
+
+const getDialect = (keyword) => shellDialectHelper.getDialect({ targetScriptOptions: { keyword } });
+
+test('getDialect falls back to the legacy mongo shell', () => {
+	assert.strictEqual(shellDialectHelper.getDialect({}).keyword, 'mongodb');
+	assert.strictEqual(getDialect('arm').keyword, 'mongodb');
+});
+
+test('legacy mongo shell keeps sample types and shell statements', () => {
+	const dialect = getDialect('mongodb');
+
+	assert.strictEqual(dialect.keepsSampleTypes, true);
+	assert.strictEqual(dialect.useDb('shop'), 'use shop;');
+	assert.strictEqual(dialect.insert('orders', '{}'), 'db.getCollection("orders").insert({});');
+	assert.strictEqual(dialect.types.timestamp('1, 2'), 'Timestamp(1, 2)');
+	assert.strictEqual(dialect.types.minKey(1), 'new MinKey(1)');
+});
+
+test('mongosh uses insertOne and its own type constructors', () => {
+	const dialect = getDialect('mongosh');
+
+	assert.strictEqual(dialect.keepsSampleTypes, false);
+	assert.strictEqual(dialect.insert('orders', '{}'), 'db.getCollection("orders").insertOne({});');
+	assert.strictEqual(dialect.types.timestamp('1, 2'), 'Timestamp({ t: 1, i: 2 })');
+	assert.strictEqual(dialect.types.maxKey(1), 'MaxKey()');
+});
+
+test('Node.js driver dialect awaits commands and wraps the script in a runnable program', () => {
+	const dialect = getDialect('nodejs');
+	const script = dialect.wrapScript([dialect.useDb('shop'), dialect.runCommand('{ ping: 1 }')].join('\n'));
+
+	assert.strictEqual(dialect.collectionStatement('orders', 'createIndex({ "a": 1 });'), 'await db.collection("orders").createIndex({ "a": 1 });');
+	assert.strictEqual(dialect.types.binData(0, 'AQI='), 'new Binary(Buffer.from("AQI=", "base64"), 0)');
+	assert.match(script, /^const \{ MongoClient, .+ \} = require\('mongodb'\);/);
+	assert.match(script, /\n\tdb = client\.db\("shop"\);\n\tawait db\.command\(\{ ping: 1 \}\);\n/);
+	assert.match(script, /new MongoClient\(process\.env\.MONGODB_URI\)/);
+});
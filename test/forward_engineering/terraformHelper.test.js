@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const terraformHelper = require('../../forward_engineering/helpers/terraformHelper');
+
+const getData = ({ containerProperties = {}, indexes = [], modelProperties = {} } = {}) => ({
+	containerData: [{ dbId: 'shop', name: 'orders', ...containerProperties }, { indexes }],
+	modelData: [{ name: 'My Account', dbVersion: '4.2.0', ...modelProperties }],
+});
+
+const getVariableBlock = (configuration, name) => configuration.match(new RegExp(`variable "${name}" \\{[^}]*\\}`))[0];
+
+test('getTerraformConfiguration requires a database id', () => {
+	assert.throws(
+		() => terraformHelper.getTerraformConfiguration(getData({ containerProperties: { dbId: '' } })),
+		/Database Id is required/,
+	);
+});
+
+test('getTerraformConfiguration defaults the resource group and location variables to the model values', () => {
+	const configuration = terraformHelper.getTerraformConfiguration(getData({
+		modelProperties: {
+			resGrp: 'my-group',
+			locations: [
+				{ locationName: 'East US', failoverPriority: 1 },
+				{ locationName: 'West US', failoverPriority: 0 },
+			],
+		},
+	}));
+
+	assert.match(getVariableBlock(configuration, 'resource_group_name'), /default\s+= "my-group"/);
+	assert.match(getVariableBlock(configuration, 'location'), /default\s+= "West US"/);
+});
+
+test('getTerraformConfiguration prefers the preferred location as the default location', () => {
+	const configuration = terraformHelper.getTerraformConfiguration(getData({
+		modelProperties: { preferredLocation: 'North Europe', locations: [{ locationName: 'West US', failoverPriority: 0 }] },
+	}));
+
+	assert.match(getVariableBlock(configuration, 'location'), /default\s+= "North Europe"/);
+});
+
+test('getTerraformConfiguration warns about the dropped fields of a compound shard key', () => {
+	const configuration = terraformHelper.getTerraformConfiguration(getData({
+		containerProperties: { shardKey: [{ name: 'tenantId', type: 'hashed' }, { name: 'orderId', type: 'ascending' }] },
+	}));
+
+	assert.match(configuration, /shard_key\s+= "tenantId"/);
+	assert.match(configuration, /# .*compound shard keys, only "tenantId" is used as the shard key\./);
+});
+
+test('getTerraformConfiguration warns about indexes that cannot be provisioned', () => {
+	const configuration = terraformHelper.getTerraformConfiguration(getData({
+		containerProperties: { uniqueKey: [{ attributePath: [{ name: 'sku' }] }] },
+		indexes: [{ name: 'byDate', indexKey: [{ name: 'createdAt', type: 'descending' }] }],
+	}));
+
+	assert.match(configuration, /# Index "byDate" is skipped/);
+	assert.doesNotMatch(configuration, /"createdAt"\]/);
+	assert.match(configuration, /keys\s+= \["sku"\]\n\s+unique\s+= true/);
+});
+
+test('getTerraformConfiguration configures the azurerm provider with its features block and subscription', () => {
+	const configuration = terraformHelper.getTerraformConfiguration(getData({ modelProperties: { subscription: '00000000-0000-0000-0000-000000000000' } }));
+
+	assert.match(configuration, /^provider "azurerm" \{\n  features \{\}\n\n  subscription_id = var\.subscription_id\n\}$/m);
+	assert.match(getVariableBlock(configuration, 'subscription_id'), /default\s+= "00000000-0000-0000-0000-000000000000"/);
+});
+
+test('getTerraformConfiguration asks for the subscription when the model has none', () => {
+	const configuration = terraformHelper.getTerraformConfiguration(getData());
+
+	assert.match(configuration, /subscription_id = var\.subscription_id/);
+	assert.doesNotMatch(getVariableBlock(configuration, 'subscription_id'), /default/);
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const updateScriptHelper = require('../../forward_engineering/helpers/updateScriptHelper');
+
+const getData = (keyword) => ({
+	containerData: [
+		{ dbId: 'shop', name: 'orders', throughput: 800 },
+		{ indexes: [{ name: 'bySku', indexKey: [{ name: 'sku', type: 'ascending' }] }] },
+	],
+	modelData: [{ dbVersion: '4.2.0' }],
+	targetScriptOptions: { keyword },
+});
+
+const instanceState = {
+	exists: true,
+	isVCore: false,
+	shardKey: [],
+	throughputSettings: { offerThroughput: 400 },
+	indexes: [{ name: 'byDate', key: { createdAt: 1 } }],
+};
+
+test('getUpdateScript writes the legacy mongo shell statements by default', () => {
+	const script = updateScriptHelper.getUpdateScript(getData(), instanceState);
+
+	assert.match(script, /^use shop;/);
+	assert.match(script, /db\.getCollection\("orders"\)\.dropIndex\("byDate"\);/);
+	assert.match(script, /db\.getCollection\("orders"\)\.createIndex\(/);
+	assert.match(script, /db\.runCommand\(\{\n\s+"customAction": "UpdateCollection"/);
+});
+
+test('getUpdateScript writes the statements of the selected dialect', () => {
+	const script = updateScriptHelper.getUpdateScript(getData('nodejs'), instanceState);
+
+	assert.match(script, /require\('mongodb'\)/);
+	assert.match(script, /db = client\.db\("shop"\);/);
+	assert.match(script, /await db\.collection\("orders"\)\.dropIndex\("byDate"\);/);
+	assert.match(script, /await db\.collection\("orders"\)\.createIndex\(/);
+	assert.match(script, /await db\.command\(\{/);
+	assert.doesNotMatch(script, /db\.getCollection|db\.runCommand|use shop;/);
+});
+
+test('getUpdateScript creates a missing collection with the selected dialect', () => {
+	const script = updateScriptHelper.getUpdateScript(getData('nodejs'), { exists: false, isVCore: false });
+
+	assert.match(script, /require\('mongodb'\)/);
+	assert.doesNotMatch(script, /db\.getCollection|db\.runCommand|use shop;/);
+});
+
+const getModeledData = ({ containerProperties = {}, indexes = [] } = {}) => ({
+	containerData: [{ dbId: 'shop', name: 'orders', ...containerProperties }, { indexes }],
+	modelData: [{ dbVersion: '4.2.0' }],
+});
+
+const getInstanceState = (state = {}) => ({
+	exists: true,
+	isVCore: false,
+	shardKey: [],
+	throughputSettings: {},
+	indexes: [],
+	...state,
+});
+
+const bySkuIndex = { name: 'bySku', indexKey: [{ name: 'sku', type: 'ascending' }] };
+
+test('getUpdateScript reports an up to date collection', () => {
+	const script = updateScriptHelper.getUpdateScript(
+		getModeledData({ containerProperties: { throughput: 400 }, indexes: [bySkuIndex] }),
+		getInstanceState({ throughputSettings: { offerThroughput: 400 }, indexes: [{ name: 'bySku', key: { sku: 1 } }] }),
+	);
+
+	assert.strictEqual(script, '// Collection "orders" is up to date.');
+});
+
+test('getUpdateScript creates indexes missing on the instance', () => {
+	const script = updateScriptHelper.getUpdateScript(getModeledData({ indexes: [bySkuIndex] }), getInstanceState());
+
+	assert.match(script, /createIndex\(\{\s*"sku": 1\s*\}, \{\s*"name": "bySku"\s*\}\)/);
+	assert.doesNotMatch(script, /dropIndex/);
+});
+
+test('getUpdateScript drops indexes that are not modeled', () => {
+	const script = updateScriptHelper.getUpdateScript(
+		getModeledData(),
+		getInstanceState({ indexes: [{ name: 'byDate', key: { createdAt: 1 } }] }),
+	);
+
+	assert.match(script, /db\.getCollection\("orders"\)\.dropIndex\("byDate"\);/);
+	assert.doesNotMatch(script, /createIndex/);
+});
+
+test('getUpdateScript recreates indexes whose key or options changed', () => {
+	const script = updateScriptHelper.getUpdateScript(
+		getModeledData({ indexes: [{ ...bySkuIndex, sparse: true }] }),
+		getInstanceState({ indexes: [{ name: 'bySku', key: { sku: 1 } }] }),
+	);
+
+	assert.match(script, /dropIndex\("bySku"\);[\s\S]*createIndex\(\{\s*"sku": 1\s*\}, \{\s*"name": "bySku",\s*"sparse": true\s*\}\)/);
+});
+
+test('getUpdateScript drops indexes that restrict more than the model', () => {
+	const script = updateScriptHelper.getUpdateScript(
+		getModeledData({ indexes: [bySkuIndex] }),
+		getInstanceState({ indexes: [{ name: 'bySku', key: { sku: 1 }, sparse: true }] }),
+	);
+
+	assert.match(script, /dropIndex\("bySku"\);/);
+	assert.match(script, /createIndex/);
+});
+
+test('getUpdateScript updates changed collection throughput', () => {
+	const script = updateScriptHelper.getUpdateScript(
+		getModeledData({ containerProperties: { throughput: 4000, autopilot: true } }),
+		getInstanceState({ throughputSettings: { offerThroughput: 400 } }),
+	);
+
+	assert.match(script, /db\.runCommand\(\{\s*"customAction": "UpdateCollection",\s*"collection": "orders",\s*"autoScaleSettings": \{\s*"maxThroughput": 4000\s*\}\s*\}\);/);
+});
+
+test('getUpdateScript does not update throughput on vCore clusters', () => {
+	const script = updateScriptHelper.getUpdateScript(
+		getModeledData({ containerProperties: { throughput: 4000 } }),
+		getInstanceState({ isVCore: true }),
+	);
+
+	assert.doesNotMatch(script, /UpdateCollection/);
+});
+
+test('getUpdateScript warns that a changed shard key needs a new collection', () => {
+	const script = updateScriptHelper.getUpdateScript(
+		getModeledData({ containerProperties: { shardKey: [{ name: 'tenantId', type: 'hashed' }] } }),
+		getInstanceState({ shardKey: [{ name: 'customerId', type: 'hashed' }] }),
+	);
+
+	assert.match(script, /Shard key of the collection is \{ "customerId": "hashed" \} on the instance and cannot be changed to \{ "tenantId": "hashed" \}/);
+});
+
+test('getUpdateScript keeps a matching shard key', () => {
+	const script = updateScriptHelper.getUpdateScript(
+		getModeledData({ containerProperties: { shardKey: [{ name: 'tenantId', type: 'hashed' }] } }),
+		getInstanceState({ shardKey: [{ name: 'tenantId', type: 'hashed' }] }),
+	);
+
+	assert.strictEqual(script, '// Collection "orders" is up to date.');
+});
+
+test('getUpdateScript creates the whole collection when it does not exist', () => {
+	const script = updateScriptHelper.getUpdateScript(
+		getModeledData({ containerProperties: { throughput: 400 }, indexes: [bySkuIndex] }),
+		{ exists: false, isVCore: false },
+	);
+
+	assert.match(script, /"customAction": "CreateCollection"/);
+	assert.match(script, /createIndex/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const versionHelper = require('../../forward_engineering/helpers/versionHelper');
+
+test('getDbVersion falls back to the default version for unknown versions', () => {
+	assert.strictEqual(versionHelper.getDbVersion([{ dbVersion: '4.2.0' }]), '4.2.0');
+	assert.strictEqual(versionHelper.getDbVersion([{ dbVersion: '1.0.0' }]), '4.0.0');
+	assert.strictEqual(versionHelper.getDbVersion(), '4.0.0');
+});
+
+test('getTargetName names the API version', () => {
+	assert.strictEqual(versionHelper.getTargetName([{ dbVersion: '3.6.0' }]), 'Cosmos DB for MongoDB 3.6.0');
+});
+
+test('schema validation is not supported by request unit based versions', () => {
+	['3.2.0', '3.6.0', '4.0.0', '4.2.0', '5.0.0', '6.0.0', '7.0.0'].forEach(dbVersion => {
+		assert.strictEqual(versionHelper.supportsSchemaValidation([{ dbVersion }]), false, dbVersion);
+	});
+});
+
+test('custom TTL keys and unique indexes on non-empty collections start with 4.2', () => {
+	assert.strictEqual(versionHelper.supportsCustomTtlKey([{ dbVersion: '4.0.0' }]), false);
+	assert.strictEqual(versionHelper.supportsCustomTtlKey([{ dbVersion: '4.2.0' }]), true);
+	assert.strictEqual(versionHelper.supportsUniqueIndexOnNonEmptyCollection([{ dbVersion: '4.0.0' }]), false);
+	assert.strictEqual(versionHelper.supportsUniqueIndexOnNonEmptyCollection([{ dbVersion: '5.0.0' }]), true);
+});
+
+test('wildcard indexes are not supported by 3.2', () => {
+	assert.strictEqual(versionHelper.supportsWildcardIndexes([{ dbVersion: '3.2.0' }]), false);
+	assert.strictEqual(versionHelper.supportsWildcardIndexes([{ dbVersion: '3.6.0' }]), true);
+});
+
+test('vCore clusters support schema validation and hashed shard keys only', () => {
+	const modelData = [{ dbVersion: '4.0.0', deploymentType: 'vCore' }];
+
+	assert.strictEqual(versionHelper.isVCore(modelData), true);
+	assert.strictEqual(versionHelper.getTargetName(modelData), 'Cosmos DB for MongoDB vCore');
+	assert.strictEqual(versionHelper.supportsSchemaValidation(modelData), true);
+	assert.deepStrictEqual(versionHelper.getShardKeyRules(modelData).types, ['hashed']);
+});
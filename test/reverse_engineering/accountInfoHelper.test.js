@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getAccountInfo } = require('../../reverse_engineering/helpers/accountInfoHelper');
+
+const getAccount = (properties = {}, account = {}) => ({ location: 'West US', properties, ...account });
+
+test('getAccountInfo maps the consistency level', () => {
+	[
+		['Eventual', 'Eventual'],
+		['Session', 'Session'],
+		['Strong', 'Strong'],
+		['ConsistentPrefix', 'Consistent prefix'],
+	].forEach(([defaultConsistencyLevel, defaultConsistency]) => {
+		const accountInfo = getAccountInfo(getAccount({ consistencyPolicy: { defaultConsistencyLevel, maxStalenessPrefix: 100 } }));
+
+		assert.strictEqual(accountInfo.defaultConsistency, defaultConsistency);
+		assert.strictEqual(accountInfo.maxStalenessPrefix, undefined);
+	});
+});
+
+test('getAccountInfo keeps the staleness bounds of bounded staleness', () => {
+	const accountInfo = getAccountInfo(getAccount({
+		consistencyPolicy: { defaultConsistencyLevel: 'BoundedStaleness', maxStalenessPrefix: 100, maxIntervalInSeconds: 5 },
+	}));
+
+	assert.strictEqual(accountInfo.defaultConsistency, 'Bounded staleness');
+	assert.strictEqual(accountInfo.maxStalenessPrefix, 100);
+	assert.strictEqual(accountInfo.maxIntervalInSeconds, 5);
+});
+
+test('getAccountInfo maps a continuous backup policy', () => {
+	const accountInfo = getAccountInfo(getAccount({
+		backupPolicy: { type: 'Continuous', continuousModeProperties: { tier: 'Continuous7Days' } },
+	}));
+
+	assert.strictEqual(accountInfo.backupPolicyType, 'Continuous');
+	assert.strictEqual(accountInfo.continuousBackupTier, 'Continuous7Days');
+	assert.strictEqual(accountInfo.backupIntervalInMinutes, undefined);
+});
+
+test('getAccountInfo maps a periodic backup policy', () => {
+	const accountInfo = getAccountInfo(getAccount({
+		backupPolicy: {
+			type: 'Periodic',
+			periodicModeProperties: { backupIntervalInMinutes: 240, backupRetentionIntervalInHours: 8, backupStorageRedundancy: 'Geo' },
+		},
+	}));
+
+	assert.strictEqual(accountInfo.backupPolicyType, 'Periodic');
+	assert.strictEqual(accountInfo.backupIntervalInMinutes, 240);
+	assert.strictEqual(accountInfo.backupRetentionIntervalInHours, 8);
+	assert.strictEqual(accountInfo.backupStorageRedundancy, 'Geo');
+	assert.strictEqual(accountInfo.continuousBackupTier, undefined);
+});
+
+test('getAccountInfo maps serverless and server-side retry to their own properties', () => {
+	const accountInfo = getAccountInfo(getAccount({
+		capabilities: [{ name: 'EnableMongo' }, { name: 'EnableServerless' }, { name: 'DisableRateLimitingResponses' }, {}],
+	}));
+
+	assert.strictEqual(accountInfo.enableServerless, true);
+	assert.strictEqual(accountInfo.enableServerSideRetry, true);
+	assert.deepStrictEqual(accountInfo.capabilities, [{ capabilityName: 'EnableMongo' }]);
+});
+
+test('getAccountInfo maps an account without capabilities', () => {
+	const accountInfo = getAccountInfo(getAccount());
+
+	assert.strictEqual(accountInfo.enableServerless, false);
+	assert.strictEqual(accountInfo.enableServerSideRetry, false);
+	assert.deepStrictEqual(accountInfo.capabilities, []);
+	assert.strictEqual(accountInfo.defaultConsistency, undefined);
+	assert.strictEqual(accountInfo.backupPolicyType, undefined);
+});
+
+test('getAccountInfo joins IP rules and prefers them over the legacy IP range filter', () => {
+	assert.strictEqual(getAccountInfo(getAccount({
+		ipRangeFilter: '10.0.0.1',
+		ipRules: [{ ipAddressOrRange: '1.2.3.4' }, { ipAddressOrRange: '5.6.7.0/24' }],
+	})).ipRangeFilter, '1.2.3.4,5.6.7.0/24');
+	assert.strictEqual(getAccountInfo(getAccount({ ipRangeFilter: '10.0.0.1' })).ipRangeFilter, '10.0.0.1');
+});
+
+test('getAccountInfo maps locations, tags and network rules', () => {
+	const accountInfo = getAccountInfo(getAccount({
+		locations: [{ id: 'acc-westus', locationName: 'West US', failoverPriority: 0, isZoneRedundant: false }],
+		virtualNetworkRules: [{ id: '/subnets/a', ignoreMissingVNetServiceEndpoint: true }],
+		privateEndpointConnections: [{
+			properties: {
+				privateEndpoint: { id: '/privateEndpoints/pe' },
+				privateLinkServiceConnectionState: { status: 'Approved' },
+				groupId: 'MongoDB',
+			},
+		}],
+	}, { tags: { env: 'prod' } }));
+
+	assert.strictEqual(accountInfo.preferredLocation, 'West US');
+	assert.deepStrictEqual(accountInfo.locations, [{ locationId: 'acc-westus', locationName: 'West US', failoverPriority: 0, isZoneRedundant: false }]);
+	assert.deepStrictEqual(accountInfo.tags, [{ tagName: 'env', tagValue: 'prod' }]);
+	assert.deepStrictEqual(accountInfo.virtualNetworkRules, [{ virtualNetworkId: '/subnets/a', ignoreMissingVNetServiceEndpoint: true }]);
+	assert.deepStrictEqual(accountInfo.privateEndpoints, [{ privateEndpointId: '/privateEndpoints/pe', connectionStatus: 'Approved', groupId: 'MongoDB' }]);
+});
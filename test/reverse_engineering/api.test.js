@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const api = require('../../reverse_engineering/api');
+const connectionHelper = require('../../reverse_engineering/helpers/connectionHelper');
+
+const logger = { log() {}, progress() {}, clear() {} };
+
+const createMapLimit = (limits) => (items, limit, iteratee, callback) => {
+	const results = [];
+	let started = 0;
+	let finished = 0;
+
+	limits.push(limit);
+
+	const start = () => {
+		const index = started++;
+
+		iteratee(items[index], (err, result) => {
+			results[index] = result;
+			finished++;
+
+			if (finished === items.length) {
+				callback(null, results);
+			} else if (started < items.length) {
+				start();
+			}
+		});
+	};
+
+	for (let i = 0; i < Math.min(limit, items.length); i++) {
+		start();
+	}
+};
+
+const createConnection = (sample) => {
+	const connection = {
+		closed: 0,
+		close() {
+			connection.closed++;
+		},
+		db: () => ({
+			admin: () => ({ buildInfo: (callback) => callback(null, { version: '4.2.0' }) }),
+			command(command, callback) {
+				if (!callback) {
+					return Promise.resolve({ count: 1 });
+				}
+
+				callback(null, command.listIndexes ? { cursor: { firstBatch: [] } } : {});
+			},
+			collection: (collectionName) => ({
+				collectionName,
+				countDocuments: () => Promise.resolve(1),
+				aggregate: () => ({ toArray: () => sample(collectionName) }),
+			}),
+		}),
+	};
+
+	return connection;
+};
+
+const getData = (collectionNames, connectionSettings = {}) => ({
+	host: 'localhost',
+	password: 'secret',
+	database: 'shop',
+	collectionData: { dataBaseNames: collectionNames, collections: {} },
+	documentKinds: collectionNames.reduce((result, name) => ({ ...result, [name]: { documentKindName: '*' } }), {}),
+	recordSamplingSettings: { active: 'absolute', absolute: { value: 1 }, relative: { value: 1 } },
+	fieldInference: { active: 'field' },
+	...connectionSettings,
+});
+
+const getDbCollectionsData = (data, limits) => new Promise(resolve => {
+	api.getDbCollectionsData(data, logger, (err, items) => resolve({ err, items }), {
+		require: () => ({ mapLimit: createMapLimit(limits) }),
+	});
+});
+
+test('getDbCollectionsData samples at most the configured number of collections at once', async (t) => {
+	let running = 0;
+	let maxRunning = 0;
+	const limits = [];
+	const connection = createConnection(async (collectionName) => {
+		running++;
+		maxRunning = Math.max(maxRunning, running);
+		await new Promise(resolve => setTimeout(resolve, 5));
+		running--;
+
+		return [{ _id: collectionName }];
+	});
+	t.mock.method(connectionHelper, 'connect', async () => connection);
+
+	const { err, items } = await getDbCollectionsData(getData(['a', 'b', 'c', 'd'], { collectionConcurrency: 2 }), limits);
+
+	assert.strictEqual(err, null);
+	assert.deepStrictEqual(limits, [2]);
+	assert.strictEqual(maxRunning, 2);
+	assert.deepStrictEqual(items.map(([item]) => item.collectionName), ['a', 'b', 'c', 'd']);
+	assert.strictEqual(connection.closed, 1);
+});
+
+test('getDbCollectionsData falls back to the default concurrency', async (t) => {
+	const limits = [];
+	const connection = createConnection(async (collectionName) => [{ _id: collectionName }]);
+	t.mock.method(connectionHelper, 'connect', async () => connection);
+
+	await getDbCollectionsData(getData(['a'], { collectionConcurrency: 'many' }), limits);
+
+	assert.deepStrictEqual(limits, [5]);
+});
+
+test('disconnect cancels a running reverse-engineering', async (t) => {
+	const sampledCollections = [];
+	const connection = createConnection(async (collectionName) => {
+		sampledCollections.push(collectionName);
+		api.disconnect({}, logger, () => {});
+
+		return [{ _id: collectionName }];
+	});
+	t.mock.method(connectionHelper, 'connect', async () => connection);
+
+	const { err } = await getDbCollectionsData(getData(['a', 'b', 'c'], { collectionConcurrency: 1 }), []);
+
+	assert.deepStrictEqual(err, { message: 'Reverse-engineering has been cancelled' });
+	assert.deepStrictEqual(sampledCollections, ['a']);
+	assert.ok(connection.closed >= 1);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bson = require('../../reverse_engineering/node_modules/bson');
+const { adjustDocuments, getJsonSchema } = require('../../reverse_engineering/helpers/bsonTypesHelper');
+
+test('adjustDocuments returns readable sample values for BSON types', () => {
+	const document = adjustDocuments({
+		_id: new bson.ObjectID('507f1f77bcf86cd799439011'),
+		min: new bson.MinKey(),
+		max: new bson.MaxKey(),
+		ts: bson.Timestamp.fromBits(2, 1412180887),
+		data: new bson.Binary(Buffer.from('hello'), 0),
+		created: new Date('2020-01-01T00:00:00.000Z'),
+		pattern: new bson.BSONRegExp('ab+c', 'i'),
+	});
+
+	assert.deepStrictEqual(document, {
+		_id: 'ObjectId("507f1f77bcf86cd799439011")',
+		min: 'MinKey()',
+		max: 'MaxKey()',
+		ts: 'Timestamp(1412180887, 2)',
+		data: Buffer.from('hello').toString('base64'),
+		created: '2020-01-01T00:00:00.000Z',
+		pattern: '/ab+c/i',
+	});
+	assert.doesNotMatch(JSON.stringify(document), /\$__/);
+});
+
+test('adjustDocuments keeps exact numeric values', () => {
+	assert.deepStrictEqual(adjustDocuments({
+		int: new bson.Int32(5),
+		long: bson.Long.fromString('9007199254740993'),
+		decimal: bson.Decimal128.fromString('1.5'),
+	}), {
+		int: 5,
+		long: '9007199254740993',
+		decimal: 1.5,
+	});
+});
+
+test('getJsonSchema merges the types found across documents', () => {
+	const schema = getJsonSchema([
+		{ amount: new bson.Int32(1), data: new bson.Binary(Buffer.from('a'), 4) },
+		{ amount: bson.Long.fromNumber(2 ** 40), min: new bson.MinKey() },
+	]);
+
+	assert.deepStrictEqual(schema.properties, {
+		amount: { type: 'numeric', mode: 'integer64' },
+		data: { type: 'binary', subtype: 'UUID' },
+		min: { type: 'minKey' },
+	});
+});
+
+test('getJsonSchema returns nothing for empty documents', () => {
+	assert.strictEqual(getJsonSchema([{}]), undefined);
+});
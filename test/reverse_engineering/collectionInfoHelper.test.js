@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const collectionInfoHelper = require('../../reverse_engineering/helpers/collectionInfoHelper');
+const scriptHelper = require('../../forward_engineering/helpers/scriptHelper');
+
+const { convertTtlIndex } = collectionInfoHelper;
+
+test('convertTtlIndex turns TTL off without a TTL index', () => {
+	assert.deepStrictEqual(convertTtlIndex(), { TTL: 'Off' });
+});
+
+test('convertTtlIndex keeps the default _ts key implicit', () => {
+	assert.deepStrictEqual(convertTtlIndex({ key: '_ts', expireAfterSeconds: -1 }), {
+		TTL: 'On (no default)',
+		TTLseconds: -1,
+		TTLkey: undefined,
+	});
+});
+
+test('convertTtlIndex returns a custom TTL key as a field list', () => {
+	assert.deepStrictEqual(convertTtlIndex({ key: 'expiresAt', expireAfterSeconds: 60 }).TTLkey, [{ name: 'expiresAt' }]);
+});
+
+test('a reverse-engineered custom TTL key is used by forward engineering', () => {
+	const containerProperties = convertTtlIndex({ key: 'expiresAt', expireAfterSeconds: 60 });
+	const script = scriptHelper.getScript({
+		containerData: [{ dbId: 'shop', name: 'orders', ...containerProperties }, {}],
+		modelData: [{ dbVersion: '4.2.0' }],
+	});
+
+	assert.match(script, /createIndex\(\{\s*"expiresAt": 1\s*\}, \{\s*"name": "ttl",\s*"expireAfterSeconds": 60\s*\}\)/);
+	assert.doesNotMatch(script, /"_ts"/);
+});
+
+test('getDatabaseInfo runs the GetDatabase custom action', async () => {
+	const commands = [];
+	const db = {
+		command(command, callback) {
+			commands.push(command);
+			callback(null, { provisionedThroughput: 400 });
+		},
+	};
+
+	assert.deepStrictEqual(await collectionInfoHelper.getDatabaseInfo(db), { provisionedThroughput: 400 });
+	assert.deepStrictEqual(commands, [{ customAction: 'GetDatabase' }]);
+});
+
+test('getDatabaseInfo rejects with the command error', async () => {
+	const db = { command: (command, callback) => callback(new Error('Not found')) };
+
+	await assert.rejects(collectionInfoHelper.getDatabaseInfo(db), /Not found/);
+});
+
+test('getDatabasesInfo maps manual and autoscale database throughput', () => {
+	assert.deepStrictEqual(collectionInfoHelper.getDatabasesInfo('shop', { provisionedThroughput: 400 }), [
+		{ databaseId: 'shop', throughput: 400, autopilot: false },
+	]);
+	assert.deepStrictEqual(collectionInfoHelper.getDatabasesInfo('shop', { autoScaleSettings: { maxThroughput: 4000 } }), [
+		{ databaseId: 'shop', throughput: 4000, autopilot: true },
+	]);
+});
+
+test('getDatabasesInfo skips databases without shared throughput', () => {
+	assert.deepStrictEqual(collectionInfoHelper.getDatabasesInfo('shop', {}), []);
+	assert.deepStrictEqual(collectionInfoHelper.getDatabasesInfo('shop'), []);
+});
+
+const roundTripIndex = async (instanceIndex) => {
+	const db = { command: (command, callback) => callback(null, { cursor: { firstBatch: [instanceIndex] } }) };
+	const { indexes } = await collectionInfoHelper.getAllTypesIndexes(db, 'orders');
+	const [definition] = scriptHelper.getIndexDefinitions(
+		[{ dbId: 'shop', name: 'orders' }, { indexes }],
+		[{ dbVersion: '7.0.0' }],
+	);
+
+	return { modeledIndex: indexes[0], definition };
+};
+
+test('a wildcard index on a field survives reverse and forward engineering', async () => {
+	const { modeledIndex, definition } = await roundTripIndex({ v: 2, name: 'wc', key: { 'attrs.$**': 1 } });
+
+	assert.strictEqual(modeledIndex.indexType, 'Wildcard');
+	assert.deepStrictEqual(definition.key, { 'attrs.$**': 1 });
+	assert.deepStrictEqual(definition.options, { name: 'wc' });
+});
+
+test('a root wildcard index keeps its projection after reverse and forward engineering', async () => {
+	const wildcardProjection = { attrs: 1, tags: 1 };
+	const { definition } = await roundTripIndex({ v: 2, name: 'root', key: { '$**': 1 }, wildcardProjection });
+
+	assert.deepStrictEqual(definition.key, { '$**': 1 });
+	assert.deepStrictEqual(definition.options, { name: 'root', wildcardProjection });
+});
+
+test('a text index keeps its fields, weights and language options after reverse and forward engineering', async () => {
+	const instanceIndex = {
+		v: 2,
+		name: 'search',
+		key: { _fts: 'text', _ftsx: 1 },
+		weights: { title: 10, body: 1 },
+		default_language: 'english',
+		language_override: 'lang',
+		textIndexVersion: 3,
+	};
+	const { modeledIndex, definition } = await roundTripIndex(instanceIndex);
+
+	assert.strictEqual(modeledIndex.indexType, 'Compound');
+	assert.deepStrictEqual(definition.key, collectionInfoHelper.getNormalizedIndexKey(instanceIndex));
+	assert.deepStrictEqual(definition.options, {
+		name: 'search',
+		default_language: 'english',
+		language_override: 'lang',
+		weights: { title: 10, body: 1 },
+	});
+});
+
+test('a 2d index keeps its bounds and precision after reverse and forward engineering', async () => {
+	const { definition } = await roundTripIndex({ v: 2, name: 'location', key: { location: '2d' }, bits: 26, min: -180, max: 180 });
+
+	assert.deepStrictEqual(definition.key, { location: '2d' });
+	assert.deepStrictEqual(definition.options, { name: 'location', bits: 26, min: -180, max: 180 });
+});
+
+test('a partial and sparse index keeps its options after reverse and forward engineering', async () => {
+	const partialFilterExpression = { qty: { $gt: 0 } };
+	const collation = { locale: 'fr', strength: 2 };
+	const { definition } = await roundTripIndex({
+		v: 2,
+		name: 'bySku',
+		key: { sku: 1, createdAt: -1 },
+		sparse: true,
+		partialFilterExpression,
+		collation,
+	});
+
+	assert.deepStrictEqual(definition.key, { sku: 1, createdAt: -1 });
+	assert.deepStrictEqual(definition.options, { name: 'bySku', sparse: true, partialFilterExpression, collation });
+});
+
+test('a vector index keeps its cosmosSearchOptions after reverse and forward engineering', async () => {
+	const cosmosSearchOptions = { kind: 'vector-diskann', dimensions: 3, similarity: 'COS', maxDegree: 32, lBuild: 50 };
+	const { modeledIndex, definition } = await roundTripIndex({ v: 2, name: 'embedding', key: { vector: 'cosmosSearch' }, cosmosSearchOptions });
+
+	assert.deepStrictEqual(modeledIndex, {
+		name: 'embedding',
+		indexType: 'Vector',
+		indexKey: [{ name: 'vector' }],
+		vectorIndexKind: 'vector-diskann',
+		dimensions: 3,
+		similarity: 'COS',
+		maxDegree: 32,
+		lBuild: 50,
+	});
+	assert.deepStrictEqual(definition.key, { vector: 'cosmosSearch' });
+	assert.deepStrictEqual(definition.options, { name: 'embedding', cosmosSearchOptions });
+});
+
+test('getCollectionThroughput maps manual and autoscale collection throughput', () => {
+	assert.deepStrictEqual(collectionInfoHelper.getCollectionThroughput({ provisionedThroughput: 400 }), { throughput: 400, autopilot: false });
+	assert.deepStrictEqual(
+		collectionInfoHelper.getCollectionThroughput({ provisionedThroughput: 400, autoScaleSettings: { maxThroughput: 4000 } }),
+		{ throughput: 4000, autopilot: true },
+	);
+	assert.deepStrictEqual(collectionInfoHelper.getCollectionThroughput({}), {});
+	assert.deepStrictEqual(collectionInfoHelper.getCollectionThroughput(), {});
+});
+
+const getStatsDb = (stats) => ({
+	command: (command) => {
+		assert.deepStrictEqual(command, { collStats: 'orders' });
+
+		return Promise.resolve(stats);
+	},
+});
+
+test('getCollectionStats maps the document count and sizes', async () => {
+	const statistics = await collectionInfoHelper.getCollectionStats(getStatsDb({ count: 12, size: 2048, storageSize: 4096, avgObjSize: 170.5 }), 'orders');
+
+	assert.deepStrictEqual(statistics, { documentCount: 12, storageSize: 4096, avgDocumentSize: 170.5 });
+});
+
+test('getCollectionStats falls back to the data size and skips missing statistics', async () => {
+	const statistics = await collectionInfoHelper.getCollectionStats(getStatsDb({ count: '3', size: 512 }), 'orders');
+
+	assert.deepStrictEqual(statistics, { documentCount: 3, storageSize: 512 });
+});
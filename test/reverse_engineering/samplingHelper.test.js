@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getSamplingOptions, getSampleDocuments } = require('../../reverse_engineering/helpers/samplingHelper');
+
+const logger = { log() {} };
+
+const createError = (message, code) => Object.assign(new Error(message), { code });
+
+const createCursor = (documents) => {
+	const cursor = {
+		sort: () => cursor,
+		limit: (limit) => createCursor(documents.slice(0, limit)),
+		batchSize: () => cursor,
+		toArray: () => Promise.resolve(documents),
+	};
+
+	return cursor;
+};
+
+const createCollection = (documents, { sampleErrors = [] } = {}) => {
+	const collection = {
+		collectionName: 'orders',
+		aggregateCalls: 0,
+		findCalls: 0,
+		aggregate(pipeline) {
+			collection.aggregateCalls++;
+			const error = sampleErrors.shift();
+
+			return {
+				toArray: () => error ? Promise.reject(error) : Promise.resolve(documents.slice(0, pipeline[pipeline.length - 1].$sample.size)),
+			};
+		},
+		find(query) {
+			collection.findCalls++;
+			const lastId = query.$and?.[1]._id.$gt;
+
+			return createCursor(documents.filter(document => lastId === undefined || document._id > lastId));
+		},
+	};
+
+	return collection;
+};
+
+const documents = Array.from({ length: 5 }, (value, index) => ({ _id: index + 1 }));
+
+test('getSamplingOptions parses the filter and sort criteria', () => {
+	const options = getSamplingOptions({ queryCriteria: '{ "createdAt": { "$date": "2020-01-01T00:00:00Z" } }', sortCriteria: '{ "_id": -1 }' });
+
+	assert.strictEqual(options.method, 'random');
+	assert.ok(options.filter.createdAt instanceof Date);
+	assert.deepStrictEqual(options.sort, { _id: -1 });
+});
+
+test('getSamplingOptions rejects criteria that are not JSON objects', () => {
+	assert.throws(() => getSamplingOptions({ queryCriteria: '[1]' }), /Sampling query filter is not valid/);
+});
+
+test('getSampleDocuments samples random documents', async () => {
+	const collection = createCollection(documents);
+	const sample = await getSampleDocuments(collection, 3, getSamplingOptions({}), logger);
+
+	assert.strictEqual(sample.length, 3);
+	assert.strictEqual(collection.findCalls, 0);
+});
+
+test('getSampleDocuments retries throttled $sample requests instead of paging', async () => {
+	const collection = createCollection(documents, {
+		sampleErrors: [createError('Request rate is large. RetryAfterMs=1', 16500)],
+	});
+	const sample = await getSampleDocuments(collection, 3, getSamplingOptions({}), logger);
+
+	assert.strictEqual(sample.length, 3);
+	assert.strictEqual(collection.aggregateCalls, 2);
+	assert.strictEqual(collection.findCalls, 0);
+});
+
+test('getSampleDocuments pages over _id when $sample is not supported', async () => {
+	const collection = createCollection(documents, {
+		sampleErrors: [createError("Unrecognized pipeline stage name: '$sample'", 40324)],
+	});
+	const sample = await getSampleDocuments(collection, 10, getSamplingOptions({}), logger);
+
+	assert.deepStrictEqual(sample, documents);
+	assert.ok(collection.findCalls > 0);
+});
+
+test('getSampleDocuments rethrows other $sample errors', async () => {
+	const collection = createCollection(documents, { sampleErrors: [createError('Unauthorized', 13)] });
+
+	await assert.rejects(getSampleDocuments(collection, 3, getSamplingOptions({}), logger), /Unauthorized/);
+	assert.strictEqual(collection.findCalls, 0);
+});